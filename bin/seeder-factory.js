@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * SEEDER FACTORY CLI
+ *
+ *   npx seeder-factory generate <Entity> [--force]
+ *
+ * Writes a timestamped seeder to the sequelize-cli seeders path and a data
+ * file with a sample record built from the model. Paths come from
+ * .sequelizerc when the project has one.
+ */
+
+const SeederGenerator = require("../lib/seeder-generator");
+
+const USAGE = `Usage: seeder-factory generate <Entity> [--force]
+
+Commands:
+  generate <Entity>   Create seeders/<timestamp>-<entity>.js and data/<entity>.json
+
+Options:
+  --force             Overwrite existing files
+  -h, --help          Show this help`;
+
+function main(argv) {
+  const args = argv.filter((arg) => !arg.startsWith("-"));
+  const flags = argv.filter((arg) => arg.startsWith("-"));
+  const [command, entityType] = args;
+
+  if (flags.includes("--help") || flags.includes("-h") || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const unknownFlag = flags.find((flag) => flag !== "--force");
+  if (unknownFlag) {
+    throw new Error(`Unknown option '${unknownFlag}'\n\n${USAGE}`);
+  }
+  if (command !== "generate") {
+    throw new Error(`Unknown command '${command}'\n\n${USAGE}`);
+  }
+  if (!entityType) {
+    throw new Error(`Missing entity name\n\n${USAGE}`);
+  }
+
+  const generator = new SeederGenerator({ force: flags.includes("--force") });
+  generator.generate(entityType);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
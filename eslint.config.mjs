@@ -14,6 +14,14 @@ export default [
       sourceType: "commonjs",
     },
   },
+  {
+    files: ["test/**/*.js"],
+    languageOptions: {
+      globals: {
+        ...globals.jest,
+      },
+    },
+  },
   {
     files: ["**/*.mjs"],
     languageOptions: {
@@ -3,9 +3,27 @@
 const SeederFactory = require("./lib/seeder-factory");
 const SeederConfig = require("./lib/seeder-config");
 const DataProcessor = require("./lib/data-processor");
+const SeedPlan = require("./lib/seed-plan");
+const SeedLedger = require("./lib/seed-ledger");
+const SeedDiff = require("./lib/seed-diff");
+const SeederValidator = require("./lib/seeder-validator");
+const DataLoaders = require("./lib/data-loaders");
+const RecordGenerator = require("./lib/record-generator");
+const EntityDefinition = require("./lib/entity-definition");
+const Logger = require("./lib/logger");
+const SeederGenerator = require("./lib/seeder-generator");
 
 module.exports = {
   SeederFactory,
   SeederConfig,
   DataProcessor,
+  SeedPlan,
+  SeedLedger,
+  SeedDiff,
+  SeederValidator,
+  DataLoaders,
+  RecordGenerator,
+  EntityDefinition,
+  Logger,
+  SeederGenerator,
 };
@@ -0,0 +1,223 @@
+"use strict";
+
+/**
+ * CsvParser - Reads CSV/TSV data files into plain records
+ *
+ * - First row holds the field names
+ * - Quoted fields may contain delimiters, newlines and "" escaped quotes
+ * - Cells are strings unless a column type is given (per-column type map or
+ *   the model attribute types); empty cells become null
+ *
+ * @class CsvParser
+ */
+class CsvParser {
+  /**
+   * Parses delimited text into records keyed by the header row
+   *
+   * @param {string} text - File content
+   * @param {Object} options - Parse options
+   * @param {string} options.delimiter - Field delimiter (default: ",")
+   * @param {Object} options.columnTypes - Column types: "string", "number",
+   *   "boolean", "json" or "date"
+   * @param {string} options.fileName - File name used in error messages
+   * @returns {Array<Object>} Records
+   * @throws {Error} On malformed rows or cells that do not match their type
+   *
+   * @example
+   * const records = CsvParser.parse(text, {
+   *   columnTypes: { age: 'number', active: 'boolean' }
+   * });
+   */
+  static parse(text, options = {}) {
+    const {
+      delimiter = ",",
+      columnTypes = {},
+      fileName = "data file",
+    } = options;
+    const rows = this._parseRows(
+      text.replace(/^\uFEFF/, ""),
+      delimiter,
+      fileName
+    );
+
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const header = rows[0].cells.map((name) => name.trim());
+    const emptyHeader = header.indexOf("");
+    if (emptyHeader !== -1) {
+      throw new Error(
+        `Empty column name in ${fileName} header (column ${emptyHeader + 1})`
+      );
+    }
+
+    return rows.slice(1).map(({ cells, line }) => {
+      if (cells.length !== header.length) {
+        throw new Error(
+          `${fileName} line ${line}: expected ${header.length} fields, got ${cells.length}`
+        );
+      }
+
+      const record = {};
+      header.forEach((field, column) => {
+        record[field] = this._typeCell(
+          cells[column],
+          columnTypes[field],
+          `${fileName} line ${line}, column '${field}'`
+        );
+      });
+      return record;
+    });
+  }
+
+  /**
+   * Maps a discovered attribute type (model or table schema) to a column type
+   *
+   * @param {string} attributeType - Type key, e.g. "INTEGER" or "VARCHAR(255)"
+   * @returns {string|null} Column type, or null to keep the cell a string
+   */
+  static columnTypeFor(attributeType) {
+    if (!attributeType) {
+      return null;
+    }
+
+    const baseType = String(attributeType).toUpperCase();
+    // BIGINT and DECIMAL stay strings so large values are kept exact
+    if (/^(BIGINT|DECIMAL|NUMERIC)/.test(baseType)) {
+      return null;
+    }
+    if (
+      /^(INTEGER|INT|SMALLINT|MEDIUMINT|FLOAT|DOUBLE|REAL)\b/.test(baseType)
+    ) {
+      return "number";
+    }
+    if (/^(BOOLEAN|BOOL\b|TINYINT\(1\))/.test(baseType)) {
+      return "boolean";
+    }
+    if (/^JSONB?$/.test(baseType)) {
+      return "json";
+    }
+    return null;
+  }
+
+  /**
+   * Splits text into rows of raw cells, remembering the line each row starts on
+   * @private
+   */
+  static _parseRows(text, delimiter, fileName) {
+    const rows = [];
+    let cells = [];
+    let cell = "";
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+      cells.push(cell);
+      // Skip blank lines
+      if (cells.length > 1 || cells[0] !== "") {
+        rows.push({ cells, line: rowLine });
+      }
+      cells = [];
+      cell = "";
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === "\n") {
+            line++;
+          }
+          cell += char;
+        }
+      } else if (char === '"' && cell === "") {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        cells.push(cell);
+        cell = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") {
+          i++;
+        }
+        endRow();
+        line++;
+        rowLine = line;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error(`${fileName} line ${rowLine}: unterminated quoted field`);
+    }
+    if (cell !== "" || cells.length > 0) {
+      endRow();
+    }
+
+    return rows;
+  }
+
+  /**
+   * Converts a raw cell to its column type
+   * @private
+   */
+  static _typeCell(cell, type, location) {
+    if (cell === "") {
+      return null;
+    }
+
+    switch (type) {
+      case undefined:
+      case null:
+      case "string":
+        return cell;
+
+      case "number": {
+        const value = Number(cell.trim());
+        if (cell.trim() === "" || isNaN(value)) {
+          throw new Error(`${location}: '${cell}' is not a number`);
+        }
+        return value;
+      }
+
+      case "boolean": {
+        const normalized = cell.trim().toLowerCase();
+        if (["true", "1", "yes"].includes(normalized)) {
+          return true;
+        }
+        if (["false", "0", "no"].includes(normalized)) {
+          return false;
+        }
+        throw new Error(`${location}: '${cell}' is not a boolean`);
+      }
+
+      case "json":
+        try {
+          return JSON.parse(cell);
+        } catch {
+          throw new Error(`${location}: '${cell}' is not valid JSON`);
+        }
+
+      case "date": {
+        const value = new Date(cell.trim());
+        if (isNaN(value.getTime())) {
+          throw new Error(`${location}: '${cell}' is not a valid date`);
+        }
+        return value;
+      }
+
+      default:
+        throw new Error(`${location}: unknown column type '${type}'`);
+    }
+  }
+}
+
+module.exports = CsvParser;
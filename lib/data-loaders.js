@@ -0,0 +1,172 @@
+"use strict";
+
+/**
+ * DATA LOADERS
+ *
+ * Registry of data file parsers, picked by file extension.
+ * Built in: .json, .json5, .yaml/.yml, .ndjson/.jsonl, .csv, .tsv
+ *
+ * A loader receives the file content and a context object
+ * ({ fileName, config, columnTypes }) and returns the records
+ * (or a promise of them).
+ */
+
+const CsvParser = require("./csv-parser");
+
+const loaders = new Map();
+
+class DataLoaders {
+  /**
+   * Registers a loader for a file extension (replaces any existing one)
+   *
+   * @param {string} extension - File extension, with or without the dot
+   * @param {Function} loader - (content, context) => data
+   *
+   * @example
+   * DataLoaders.register(".toml", (content) => toml.parse(content).records);
+   */
+  static register(extension, loader) {
+    if (typeof loader !== "function") {
+      throw new Error(`Loader for ${extension} must be a function`);
+    }
+    loaders.set(this._normalize(extension), loader);
+  }
+
+  /**
+   * Gets the loader registered for a file extension
+   *
+   * @param {string} extension - File extension, with or without the dot
+   * @returns {Function|null} Loader, or null if none is registered
+   */
+  static get(extension) {
+    return loaders.get(this._normalize(extension)) || null;
+  }
+
+  /**
+   * Builds a parse error that points at the offending line and column
+   *
+   * @param {string} format - Format name (e.g. "JSON")
+   * @param {string} fileName - Data file
+   * @param {number|null} line - 1-based line (null if unknown)
+   * @param {number|null} column - 1-based column (null if unknown)
+   * @param {string} reason - Parser message
+   * @returns {Error} Error to throw
+   */
+  static parseError(format, fileName, line, column, reason) {
+    const position = line ? ` (line ${line}, column ${column})` : "";
+    return new Error(
+      `Invalid ${format} in data file: ${fileName}${position}: ${reason}`
+    );
+  }
+
+  /**
+   * Lower-cases an extension and makes sure it starts with a dot
+   * @private
+   */
+  static _normalize(extension) {
+    const lower = String(extension).toLowerCase();
+    return lower.startsWith(".") ? lower : `.${lower}`;
+  }
+}
+
+/**
+ * Converts a character offset into a 1-based line and column
+ * @private
+ */
+function positionToLineColumn(content, position) {
+  const lines = content.slice(0, position).split("\n");
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+DataLoaders.register(".json", (content, { fileName }) => {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    const reason = error.message
+      .replace(/\s*\(line \d+ column \d+\)$/, "")
+      .replace(/ in JSON at position \d+$/, "");
+    const lineColumnMatch = error.message.match(/line (\d+) column (\d+)/);
+    const positionMatch = error.message.match(/at position (\d+)/);
+
+    if (lineColumnMatch) {
+      throw DataLoaders.parseError(
+        "JSON",
+        fileName,
+        Number(lineColumnMatch[1]),
+        Number(lineColumnMatch[2]),
+        reason
+      );
+    }
+    if (positionMatch) {
+      const { line, column } = positionToLineColumn(
+        content,
+        Number(positionMatch[1])
+      );
+      throw DataLoaders.parseError("JSON", fileName, line, column, reason);
+    }
+    throw DataLoaders.parseError("JSON", fileName, null, null, reason);
+  }
+});
+
+DataLoaders.register(".json5", (content, { fileName }) => {
+  const JSON5 = require("json5");
+  try {
+    return JSON5.parse(content);
+  } catch (error) {
+    throw DataLoaders.parseError(
+      "JSON5",
+      fileName,
+      error.lineNumber,
+      error.columnNumber,
+      error.message.replace(/^JSON5: /, "").replace(/ at \d+:\d+$/, "")
+    );
+  }
+});
+
+const yamlLoader = (content, { fileName }) => {
+  const YAML = require("yaml");
+  try {
+    return YAML.parse(content);
+  } catch (error) {
+    const [start] = error.linePos || [];
+    throw DataLoaders.parseError(
+      "YAML",
+      fileName,
+      start ? start.line : null,
+      start ? start.col : null,
+      error.message.split(" at line ")[0]
+    );
+  }
+};
+DataLoaders.register(".yaml", yamlLoader);
+DataLoaders.register(".yml", yamlLoader);
+
+const ndjsonLoader = (content, { fileName }) =>
+  content.split("\n").reduce((records, text, index) => {
+    if (text.trim() === "") {
+      return records;
+    }
+    try {
+      records.push(JSON.parse(text));
+    } catch (error) {
+      throw DataLoaders.parseError(
+        "JSON",
+        fileName,
+        index + 1,
+        1,
+        error.message.replace(/ in JSON at position \d+.*$/, "")
+      );
+    }
+    return records;
+  }, []);
+DataLoaders.register(".ndjson", ndjsonLoader);
+DataLoaders.register(".jsonl", ndjsonLoader);
+
+DataLoaders.register(".csv", (content, { fileName, columnTypes }) =>
+  CsvParser.parse(content, { delimiter: ",", columnTypes, fileName })
+);
+DataLoaders.register(".tsv", (content, { fileName, columnTypes }) =>
+  CsvParser.parse(content, { delimiter: "\t", columnTypes, fileName })
+);
+
+module.exports = DataLoaders;
@@ -0,0 +1,160 @@
+"use strict";
+
+const Logger = require("./logger");
+
+const DELETE_MARKER = "$delete";
+
+/**
+ * DataOverlay - Merges an environment overlay file into base records
+ *
+ * Overlay records are matched to base records by uniqueFields:
+ * - a matching overlay record overrides the base record's fields
+ * - a matching record with `"$delete": true` removes the base record
+ * - an overlay record without a match is added
+ *
+ * Records can be applied one at a time, so streamed files are merged without
+ * loading the base file into memory.
+ *
+ * @class DataOverlay
+ */
+class DataOverlay {
+  /**
+   * @param {Array<Object>} records - Overlay records
+   * @param {Object} options - Overlay options
+   * @param {Array<string>} options.uniqueFields - Fields records are matched on
+   * @param {string} options.fileName - Overlay file used in error messages
+   * @param {Logger} options.logger - Logger (default: pretty console output)
+   * @throws {Error} If the overlay is not an array or a record cannot be matched
+   */
+  constructor(records, options = {}) {
+    const { uniqueFields = [], fileName = "overlay file" } = options;
+
+    if (!Array.isArray(records)) {
+      throw new Error(
+        `Overlay ${fileName} must be an array. Got: ${typeof records}`
+      );
+    }
+    if (records.length > 0 && uniqueFields.length === 0) {
+      throw new Error(
+        `Cannot merge overlay ${fileName}: no uniqueFields to match records on`
+      );
+    }
+
+    this.uniqueFields = uniqueFields;
+    this.fileName = fileName;
+    this.logger = Logger.from(options.logger);
+    this.entries = records.map((record, index) => {
+      if (!this._keysOf(record).length) {
+        throw new Error(
+          `Overlay ${fileName} record ${index} has none of the uniqueFields (${uniqueFields.join(
+            ", "
+          )}) to match on`
+        );
+      }
+      return { record, matched: false };
+    });
+    this.counts = { added: 0, overridden: 0, removed: 0 };
+  }
+
+  /**
+   * Merges overlay records into base records
+   *
+   * @param {Array<Object>} base - Base records
+   * @param {Array<Object>} overlay - Overlay records
+   * @param {Object} options - Same options as the constructor
+   * @returns {{ records: Array<Object>, counts: Object }} Merged records and
+   *   counts: { added, overridden, removed }
+   *
+   * @example
+   * const { records } = DataOverlay.merge(users, stagingUsers, {
+   *   uniqueFields: ["email"]
+   * });
+   */
+  static merge(base, overlay, options = {}) {
+    const dataOverlay = new DataOverlay(overlay, options);
+    const records = base
+      .map((record) => dataOverlay.apply(record))
+      .filter((record) => record !== null);
+    records.push(...dataOverlay.remaining());
+    return { records, counts: dataOverlay.counts };
+  }
+
+  /**
+   * Applies the overlay to one base record
+   * @param {Object} record - Base record
+   * @returns {Object|null} Overridden record, or null if it is deleted
+   */
+  apply(record) {
+    const keys = this._keysOf(record);
+    const entry = this.entries.find(
+      (candidate) =>
+        !candidate.matched &&
+        this._keysOf(candidate.record).some((key) => keys.includes(key))
+    );
+    if (!entry) {
+      return record;
+    }
+
+    entry.matched = true;
+    if (entry.record[DELETE_MARKER]) {
+      this.counts.removed++;
+      return null;
+    }
+    this.counts.overridden++;
+    return { ...record, ...this._withoutMarker(entry.record) };
+  }
+
+  /**
+   * Overlay records that matched no base record, to be added
+   * @returns {Array<Object>} Records to add
+   */
+  remaining() {
+    const added = [];
+    this.entries
+      .filter((entry) => !entry.matched)
+      .forEach((entry) => {
+        entry.matched = true;
+        if (entry.record[DELETE_MARKER]) {
+          this.logger.warn(
+            `⚠️  Overlay ${this.fileName}: nothing to delete for ${this._describe(
+              entry.record
+            )}`
+          );
+          return;
+        }
+        added.push(this._withoutMarker(entry.record));
+      });
+    this.counts.added += added.length;
+    return added;
+  }
+
+  /**
+   * Match keys ("field=value") of a record's unique field values
+   * @private
+   */
+  _keysOf(record) {
+    return this.uniqueFields
+      .filter((field) => record && record[field] != null)
+      .map((field) => `${field}=${String(record[field])}`);
+  }
+
+  /**
+   * Copy of an overlay record without the $delete marker
+   * @private
+   */
+  _withoutMarker(record) {
+    const copy = { ...record };
+    delete copy[DELETE_MARKER];
+    return copy;
+  }
+
+  /**
+   * Short description of a record by its unique field values
+   * @private
+   */
+  _describe(record) {
+    return this._keysOf(record).join(", ");
+  }
+}
+
+module.exports = DataOverlay;
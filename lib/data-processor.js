@@ -8,15 +8,133 @@
  * Just clean the data and let the database handle the rest.
  */
 
+const ExpressionEvaluator = require("./expression-evaluator");
+const TypeCoercer = require("./type-coercer");
+const FieldMapper = require("./field-mapper");
+
+const transforms = new Map();
+
 class DataProcessor {
   /**
-   * Instance method that calls the static method
+   * Instance method that calls the static method, maps data keys to
+   * attribute names (`fieldMap`, camel/snake case), then runs the
+   * `transforms` of the configuration and coerces values to the attribute
+   * types (unless `coerceTypes` is false)
    * @param {Object} item - Raw data item
    * @param {Object} config - Processing configuration
-   * @returns {Object} Processed item
+   * @param {number} index - Item index (for error reporting)
+   * @returns {Promise<Object>} Processed item
+   */
+  async processGeneric(item, config = {}, index = 0) {
+    const options = { index, fileName: config.dataFile };
+    const processed = FieldMapper.toAttributes(
+      DataProcessor.processGeneric(item, index, options),
+      config
+    );
+    const transformed = await DataProcessor.applyTransforms(
+      processed,
+      config.transforms,
+      options
+    );
+
+    if (config.coerceTypes === false) {
+      return transformed;
+    }
+    return TypeCoercer.coerceRecord(transformed, config.attributes, options);
+  }
+
+  /**
+   * Registers a named transform (replaces any existing one)
+   *
+   * @param {string} name - Transform name used in `transforms`
+   * @param {Function} transform - (value, record, field) => value, may be async
+   *
+   * @example
+   * DataProcessor.registerTransform("bcryptHash", (value) =>
+   *   bcrypt.hash(value, 10)
+   * );
+   */
+  static registerTransform(name, transform) {
+    if (typeof transform !== "function") {
+      throw new Error(`Transform ${name} must be a function`);
+    }
+    transforms.set(name, transform);
+  }
+
+  /**
+   * Runs per-field transforms over a processed record. Each field maps to a
+   * transform or a chain of them, run in order; a transform is a registered
+   * name or a function (value, record, field) => value, which may be async.
+   * Fields missing from the record are skipped, and a transform returning
+   * null or undefined removes the field.
+   *
+   * @param {Object} record - Processed record
+   * @param {Object} fieldTransforms - Field -> transform or array of transforms
+   * @param {Object} options - Options (optional)
+   * @param {number} options.index - Record index (for error reporting)
+   * @param {string} options.fileName - Data file (for error reporting)
+   * @returns {Promise<Object>} Transformed record
+   * @throws {Error} On unknown transforms or transforms that fail
+   *
+   * @example
+   * await DataProcessor.applyTransforms(record, {
+   *   password: bcryptHash,
+   *   email: ["lowercase", "trim"],
+   *   tags: "jsonStringify"
+   * });
+   */
+  static async applyTransforms(record, fieldTransforms, options = {}) {
+    if (!fieldTransforms || Object.keys(fieldTransforms).length === 0) {
+      return record;
+    }
+
+    const { index = 0, fileName = "data file" } = options;
+    const transformed = { ...record };
+
+    for (const [field, chain] of Object.entries(fieldTransforms)) {
+      const steps = Array.isArray(chain) ? chain : [chain];
+      for (const step of steps) {
+        if (!Object.prototype.hasOwnProperty.call(transformed, field)) {
+          break;
+        }
+
+        const transform = this._getTransform(step, field);
+        const name = typeof step === "string" ? step : step.name || "function";
+        try {
+          const value = await transform(transformed[field], transformed, field);
+          if (value === null || value === undefined) {
+            delete transformed[field];
+          } else {
+            transformed[field] = value;
+          }
+        } catch (error) {
+          throw new Error(
+            `Transform '${name}' failed in ${fileName} record ${index}, field '${field}': ${error.message}`
+          );
+        }
+      }
+    }
+
+    return transformed;
+  }
+
+  /**
+   * Looks up a transform by name, or passes a function through
+   * @private
    */
-  processGeneric(item, config = {}) {
-    return DataProcessor.processGeneric(item, 0, config);
+  static _getTransform(step, field) {
+    if (typeof step === "function") {
+      return step;
+    }
+    const transform = transforms.get(step);
+    if (!transform) {
+      throw new Error(
+        `Unknown transform '${step}' for field '${field}'. Available: ${[
+          ...transforms.keys(),
+        ].join(", ")}`
+      );
+    }
+    return transform;
   }
 
   /**
@@ -26,17 +144,33 @@ class DataProcessor {
    * @param {Object} item - Raw data item
    * @param {number} index - Item index (for error reporting)
    * @param {Object} options - Processing options (optional)
+   * @param {string} options.fileName - Data file (for error reporting)
+   * @param {Object} options.env - Variables for `${env.NAME}` (default: process.env)
+   * @param {Date} options.now - Date for `${now}` (default: current date)
    * @returns {Object} Processed item
+   * @throws {Error} If an expression cannot be evaluated
    */
-  static processGeneric(item, index = 0) {
+  static processGeneric(item, index = 0, options = {}) {
     if (!item || typeof item !== "object") {
       throw new Error(`Invalid item at index ${index}: must be an object`);
     }
 
     const processed = {};
+    const expressionOptions = {
+      ...options,
+      index,
+      now: options.now || new Date(),
+    };
 
     // Process each field in the item
-    Object.entries(item).forEach(([key, value]) => {
+    Object.keys(item).forEach((key) => {
+      // Evaluate ${...} expressions first (env vars, dates, other fields)
+      const value = ExpressionEvaluator.evaluateField(
+        item,
+        key,
+        expressionOptions
+      );
+
       // Skip null/undefined values
       if (value === null || value === undefined) {
         return;
@@ -74,4 +208,51 @@ class DataProcessor {
   }
 }
 
+DataProcessor.registerTransform("trim", (value) =>
+  typeof value === "string" ? value.trim() : value
+);
+DataProcessor.registerTransform("lowercase", (value) =>
+  typeof value === "string" ? value.toLowerCase() : value
+);
+DataProcessor.registerTransform("uppercase", (value) =>
+  typeof value === "string" ? value.toUpperCase() : value
+);
+DataProcessor.registerTransform("jsonStringify", (value) =>
+  typeof value === "string" ? value : JSON.stringify(value)
+);
+DataProcessor.registerTransform("jsonParse", (value) =>
+  typeof value === "string" ? JSON.parse(value) : value
+);
+DataProcessor.registerTransform("number", (value) => {
+  const number = Number(value);
+  if (
+    typeof value === "boolean" ||
+    String(value).trim() === "" ||
+    isNaN(number)
+  ) {
+    throw new Error(`'${value}' is not a number`);
+  }
+  return number;
+});
+DataProcessor.registerTransform("boolean", (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (["true", "1", "yes"].includes(normalized)) {
+    return true;
+  }
+  if (["false", "0", "no"].includes(normalized)) {
+    return false;
+  }
+  throw new Error(`'${value}' is not a boolean`);
+});
+DataProcessor.registerTransform("date", (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`'${value}' is not a valid date`);
+  }
+  return date;
+});
+DataProcessor.registerTransform("string", (value) =>
+  value instanceof Date ? value.toISOString() : String(value)
+);
+
 module.exports = DataProcessor;
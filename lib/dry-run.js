@@ -0,0 +1,110 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const Logger = require("./logger");
+
+/**
+ * DryRun - Collects the SQL a seeder would run instead of running it
+ *
+ * Statements are built with the dialect's query generator, so they match
+ * what Sequelize would send. They are printed, or appended to a file when
+ * the dry run is given one:
+ *
+ *   dryRun: true                          print statements
+ *   dryRun: { file: "seed-staging.sql" }  append statements to a file
+ *
+ * @class DryRun
+ */
+class DryRun {
+  /**
+   * @param {Object} queryInterface - Sequelize query interface
+   * @param {boolean|Object} option - `true`, or `{ file }` to write to a file
+   * @param {Logger} logger - Logger printing the statements (default: pretty
+   *   console output)
+   */
+  constructor(queryInterface, option = true, logger = null) {
+    if (!queryInterface || !queryInterface.queryGenerator) {
+      throw new Error(
+        "Dry run needs a Sequelize queryInterface with a queryGenerator"
+      );
+    }
+
+    this.queryGenerator = queryInterface.queryGenerator;
+    this.file =
+      option && typeof option === "object" && option.file
+        ? path.resolve(option.file)
+        : null;
+    this.statements = [];
+    this.logger = Logger.from(logger);
+  }
+
+  /**
+   * Adds the INSERT statement for rows
+   * @param {string} tableName - Table name
+   * @param {Array<Object>} rows - Rows to insert
+   * @param {Object} options - bulkInsert options (e.g. returning)
+   */
+  insert(tableName, rows, options = {}) {
+    this._add(this.queryGenerator.bulkInsertQuery(tableName, rows, options));
+  }
+
+  /**
+   * Adds the UPDATE statement for one row
+   * @param {string} tableName - Table name
+   * @param {Object} values - Column values
+   * @param {Object} where - Row condition
+   */
+  update(tableName, values, where) {
+    const { query } = this.queryGenerator.updateQuery(
+      tableName,
+      values,
+      where,
+      {
+        bindParam: false,
+      }
+    );
+    this._add(query);
+  }
+
+  /**
+   * Adds the DELETE statement for a condition ({} deletes every row)
+   * @param {string} tableName - Table name
+   * @param {Object} where - Row condition (Sequelize operators allowed)
+   */
+  delete(tableName, where) {
+    this._add(
+      this.queryGenerator.deleteQuery(tableName, where, { limit: null })
+    );
+  }
+
+  /**
+   * Adds an SQL comment explaining the next statements
+   * @param {string} text - Comment text
+   */
+  comment(text) {
+    this._add(`-- ${text}`);
+  }
+
+  /**
+   * Prints or writes one statement
+   * @private
+   */
+  _add(statement) {
+    const line =
+      statement.startsWith("--") || statement.trim().endsWith(";")
+        ? statement
+        : `${statement};`;
+    this.statements.push(line);
+
+    if (this.file) {
+      fs.appendFileSync(this.file, `${line}\n`);
+    } else {
+      this.logger.info(`   🧪 ${line}`, "dryRun.statement", {
+        statement: line,
+      });
+    }
+  }
+}
+
+module.exports = DryRun;
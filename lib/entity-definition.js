@@ -0,0 +1,181 @@
+"use strict";
+
+const FieldMapper = require("./field-mapper");
+const RecordGenerator = require("./record-generator");
+const SeedLedger = require("./seed-ledger");
+
+/**
+ * EntityDefinition - Programmatic record factory for one entity
+ *
+ * Created by SeederFactory.define(). Attribute values may be plain values,
+ * generator tokens ("{{internet.email}}") or functions called with the
+ * record's sequence number and the record built so far. Traits are named
+ * attribute sets applied on top of the defaults, in the order requested.
+ *
+ * @class EntityDefinition
+ */
+class EntityDefinition {
+  /**
+   * @param {SeederFactory} factory - Factory used to insert records
+   * @param {string} entityType - Entity type (e.g. "Users")
+   * @param {Object} attributes - Default attributes
+   * @param {Object} options - Definition options
+   * @param {Object} options.traits - Named attribute sets
+   * @param {Object} options.customConfig - Custom configuration used by create
+   * @param {number|string} options.seed - Seed for generator tokens
+   */
+  constructor(factory, entityType, attributes = {}, options = {}) {
+    if (attributes === null || typeof attributes !== "object") {
+      throw new Error(`Attributes for ${entityType} must be an object`);
+    }
+
+    this.factory = factory;
+    this.entityType = entityType;
+    this.attributes = attributes;
+    this.traits = options.traits || {};
+    this.customConfig = options.customConfig || {};
+    this.generator = new RecordGenerator(options.seed);
+    this.sequence = 0;
+  }
+
+  /**
+   * Builds records without touching the database
+   *
+   * @param {number} count - Number of records (default: 1)
+   * @param {string|Array<string>} traits - Traits to apply
+   * @param {Object} overrides - Attribute overrides, applied last
+   * @returns {Array<Object>} Built records
+   * @throws {Error} If a trait is not defined
+   */
+  build(count = 1, traits = [], overrides = {}) {
+    const traitNames = Array.isArray(traits) ? traits : [traits];
+    const layers = [
+      this.attributes,
+      ...traitNames.map((name) => this._getTrait(name)),
+      overrides || {},
+    ];
+
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      this.sequence++;
+      const record = {};
+      layers.forEach((layer) => {
+        Object.entries(layer).forEach(([field, value]) => {
+          record[field] = this._resolveValue(value, field, record);
+        });
+      });
+      records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Builds records and inserts them through SeederFactory.insertData
+   *
+   * @param {number} count - Number of records (default: 1)
+   * @param {string|Array<string>} traits - Traits to apply
+   * @param {Object} overrides - Attribute overrides, applied last
+   * @param {Object} options - Insert options
+   * @param {Object|boolean} options.transaction - Transaction to run in
+   * @param {string} options.mode - Insert mode (default: "insert")
+   * @returns {Promise<Array<Object>>} Inserted rows keyed by attribute names
+   *   like build(), with their generated primary keys: returned by the
+   *   database (RETURNING) or looked up by uniqueFields after the insert
+   * @throws {Error} If the dialect has no RETURNING, the entity has no
+   *   uniqueFields and the records do not set their primary keys
+   */
+  async create(count = 1, traits = [], overrides = {}, options = {}) {
+    const { factory, entityType, customConfig } = this;
+    const records = this.build(count, traits, overrides);
+    const config = await factory.seederConfig.loadEntityConfig(
+      entityType,
+      customConfig
+    );
+
+    const processed = [];
+    const droppedFields = new Set();
+    for (let index = 0; index < records.length; index++) {
+      const record = await factory._processRecord(
+        records[index],
+        index,
+        entityType,
+        config,
+        {
+          filterValidFields: true,
+          transaction: options.transaction,
+          droppedFields,
+        }
+      );
+      // afterProcessRecord hooks drop records by returning false
+      if (record !== false) {
+        processed.push(record);
+      }
+    }
+    factory._logDroppedFields(entityType, droppedFields);
+    this._assertKeysAvailable(config, processed);
+
+    const { rows } = await factory.insertData(entityType, processed, {
+      customConfig,
+      transaction: options.transaction,
+      mode: options.mode,
+      returning: true,
+    });
+    // Rows are keyed by column names: return them like build() does
+    return rows.map((row) => FieldMapper.fromColumns(row, config));
+  }
+
+  /**
+   * Without RETURNING, generated primary keys can only be found again through
+   * uniqueFields: refuse to insert rows whose keys would stay unknown
+   * @private
+   */
+  _assertKeysAvailable(config, records) {
+    const primaryKeys = SeedLedger.primaryKeysFor(config);
+    const hasKeys = records.every((record) =>
+      primaryKeys.every((name) => record[name] != null)
+    );
+    if (
+      hasKeys ||
+      this.factory._supportsReturning() ||
+      (config.uniqueFields || []).length > 0
+    ) {
+      return;
+    }
+    throw new Error(
+      `Cannot return the generated ${primaryKeys.join(", ")} of created ${this.entityType}: the database does not support RETURNING. Set uniqueFields so created rows can be looked up, or set the primary key in the definition`
+    );
+  }
+
+  /**
+   * Gets a trait by name
+   * @private
+   */
+  _getTrait(name) {
+    const trait = this.traits[name];
+    if (!trait) {
+      const known = Object.keys(this.traits);
+      throw new Error(
+        `Unknown trait '${name}' for ${this.entityType}. Defined traits: ${
+          known.length > 0 ? known.join(", ") : "(none)"
+        }`
+      );
+    }
+    return trait;
+  }
+
+  /**
+   * Resolves one attribute value: functions are called, tokens are filled
+   * @private
+   */
+  _resolveValue(value, field, record) {
+    const resolved =
+      typeof value === "function" ? value(this.sequence, record) : value;
+    return this.generator.fill(
+      resolved,
+      this.sequence - 1,
+      `${this.entityType} definition.${field}`
+    );
+  }
+}
+
+module.exports = EntityDefinition;
@@ -0,0 +1,154 @@
+"use strict";
+
+/**
+ * EXPRESSION EVALUATOR
+ *
+ * Evaluates `${...}` expressions in string values of data records:
+ *
+ *   "${env.ADMIN_EMAIL}"               environment variable
+ *   "${now}", "${now - 30d}"           current date, optionally shifted
+ *   "${uuid}"                          random UUID
+ *   "${ref.row.userName}@example.com"  another field of the same record
+ *
+ * `$${` is written out as a literal `${`. Nothing is passed to eval: only
+ * the forms above are understood.
+ */
+
+const crypto = require("crypto");
+
+const EXPRESSION_PATTERN = /\$\$\{|\$\{([^}]*)\}/g;
+const DATE_OFFSET_PATTERN = /^now\s*([+-])\s*(\d+)\s*(ms|s|m|h|d|w)$/;
+const UNIT_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+class ExpressionEvaluator {
+  /**
+   * Check whether a value contains expressions (or escapes)
+   * @param {*} value - Field value
+   * @returns {boolean} True for strings containing `${`
+   */
+  static hasExpressions(value) {
+    return typeof value === "string" && value.includes("${");
+  }
+
+  /**
+   * Evaluates the expressions in one field of a record. A value that is
+   * exactly one expression keeps its type (e.g. a Date for `${now}`).
+   *
+   * @param {Object} record - Raw record the field belongs to
+   * @param {string} field - Field to evaluate
+   * @param {Object} options - Evaluation options
+   * @param {number} options.index - Record index (for error reporting)
+   * @param {string} options.fileName - Data file (for error reporting)
+   * @param {Object} options.env - Environment variables (default: process.env)
+   * @param {Date} options.now - Current date (default: new Date())
+   * @returns {*} Evaluated value
+   * @throws {Error} On unknown expressions, missing environment variables or
+   *   fields referencing each other in a cycle
+   *
+   * @example
+   * ExpressionEvaluator.evaluateField(
+   *   { userName: "ana", email: "${ref.row.userName}@example.com" },
+   *   "email"
+   * ); // "ana@example.com"
+   */
+  static evaluateField(record, field, options = {}) {
+    return this._evaluateField(record, field, options, []);
+  }
+
+  /**
+   * Evaluates a field, tracking the fields being evaluated to catch cycles
+   * @private
+   */
+  static _evaluateField(record, field, options, stack) {
+    const value = record[field];
+    if (!this.hasExpressions(value)) {
+      return value;
+    }
+
+    const location = `${options.fileName || "data file"} record ${
+      options.index || 0
+    }, field '${field}'`;
+    if (stack.includes(field)) {
+      throw new Error(
+        `Circular ref.row expression in ${location}: ${[...stack, field].join(
+          " -> "
+        )}`
+      );
+    }
+
+    const evaluate = (expression) =>
+      this._evaluateExpression(expression.trim(), record, options, location, [
+        ...stack,
+        field,
+      ]);
+
+    const matches = [...value.matchAll(EXPRESSION_PATTERN)];
+    if (
+      matches.length === 1 &&
+      matches[0][0] !== "$${" &&
+      matches[0][0] === value.trim()
+    ) {
+      return evaluate(matches[0][1]);
+    }
+
+    return value.replace(EXPRESSION_PATTERN, (match, expression) => {
+      if (match === "$${") {
+        return "${";
+      }
+      const result = evaluate(expression);
+      return result instanceof Date ? result.toISOString() : String(result);
+    });
+  }
+
+  /**
+   * Evaluates the text between `${` and `}`
+   * @private
+   */
+  static _evaluateExpression(expression, record, options, location, stack) {
+    if (expression.startsWith("env.")) {
+      const name = expression.slice(4);
+      const env = options.env || process.env;
+      if (env[name] === undefined) {
+        throw new Error(
+          `Missing environment variable '${name}' in ${location}`
+        );
+      }
+      return env[name];
+    }
+
+    if (expression.startsWith("ref.row.")) {
+      const name = expression.slice(8);
+      if (!Object.prototype.hasOwnProperty.call(record, name)) {
+        throw new Error(`Unknown field '${name}' in ${location}`);
+      }
+      return this._evaluateField(record, name, options, stack);
+    }
+
+    if (expression === "uuid") {
+      return crypto.randomUUID();
+    }
+
+    const now = options.now || new Date();
+    if (expression === "now") {
+      return new Date(now.getTime());
+    }
+
+    const offset = expression.match(DATE_OFFSET_PATTERN);
+    if (offset) {
+      const [, sign, amount, unit] = offset;
+      const delta = Number(amount) * UNIT_MS[unit];
+      return new Date(now.getTime() + (sign === "+" ? delta : -delta));
+    }
+
+    throw new Error(`Unknown expression '\${${expression}}' in ${location}`);
+  }
+}
+
+module.exports = ExpressionEvaluator;
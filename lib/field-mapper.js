@@ -0,0 +1,150 @@
+"use strict";
+
+/**
+ * FIELD MAPPER
+ *
+ * Maps data file keys to attributes, and attributes to table columns:
+ *
+ * - `fieldMap` config: { userName: "user_name" } maps a data key to a column
+ * - the model's `field` option: attribute userName -> column user_name
+ * - camelCase <-> snake_case: a data key that matches nothing is tried in the
+ *   other case (user_name -> userName, userName -> user_name)
+ */
+
+class FieldMapper {
+  /**
+   * Renames data keys to the entity's attribute names (column names for
+   * tables without a model). Keys that match nothing are kept as they are.
+   *
+   * @param {Object} record - Processed record
+   * @param {Object} config - Entity configuration (fieldMap, attributes,
+   *   validFields)
+   * @returns {Object} Record keyed by attribute names
+   *
+   * @example
+   * FieldMapper.toAttributes({ user_name: "ana" }, {
+   *   attributes: { userName: { field: "user_name" } }
+   * }); // { userName: "ana" }
+   */
+  static toAttributes(record, config = {}) {
+    const names = this._namesFor(config);
+    const fieldMap = config.fieldMap || {};
+    const mapped = {};
+
+    Object.entries(record).forEach(([key, value]) => {
+      mapped[this._attributeFor(key, names, fieldMap)] = value;
+    });
+    return mapped;
+  }
+
+  /**
+   * Renames attribute names to table columns (the model's `field` option)
+   *
+   * @param {Object} record - Record keyed by attribute names
+   * @param {Object} config - Entity configuration
+   * @returns {Object} Record keyed by column names
+   */
+  static toColumns(record, config = {}) {
+    const mapped = {};
+    Object.entries(record).forEach(([key, value]) => {
+      mapped[this.columnFor(config, key)] = value;
+    });
+    return mapped;
+  }
+
+  /**
+   * Renames table columns back to attribute names, the inverse of toColumns.
+   * Timestamp columns without a model attribute (e.g. created_at) get their
+   * attribute name (createdAt). Other columns are kept as they are.
+   *
+   * @param {Object} row - Row keyed by column names
+   * @param {Object} config - Entity configuration (attributes, timestamps)
+   * @returns {Object} Row keyed by attribute names
+   */
+  static fromColumns(row, config = {}) {
+    const attributes = new Map();
+    Object.entries(config.timestamps || {}).forEach(([name, column]) => {
+      if (column) {
+        attributes.set(column, name);
+      }
+    });
+    Object.entries(config.attributes || {}).forEach(([name, attribute]) => {
+      attributes.set((attribute && attribute.field) || name, name);
+    });
+
+    const mapped = {};
+    Object.entries(row).forEach(([column, value]) => {
+      mapped[attributes.get(column) || column] = value;
+    });
+    return mapped;
+  }
+
+  /**
+   * Attribute names the `fieldMap` config maps data keys to. They pass the
+   * validFields filter, since they were asked for explicitly.
+   * @param {Object} config - Entity configuration
+   * @returns {Array<string>} Attribute (or column) names
+   */
+  static mappedNames(config = {}) {
+    const names = this._namesFor(config);
+    return Object.values(config.fieldMap || {}).map(
+      (column) => names.get(column) || column
+    );
+  }
+
+  /**
+   * Table column of an attribute
+   * @param {Object} config - Entity configuration
+   * @param {string} name - Attribute name
+   * @returns {string} Column name
+   */
+  static columnFor(config, name) {
+    const attribute = (config.attributes || {})[name];
+    return (attribute && attribute.field) || name;
+  }
+
+  /**
+   * Lookup of every known name (attribute, column, valid field) to the
+   * attribute name records should use
+   * @private
+   */
+  static _namesFor(config) {
+    const names = new Map();
+    (config.validFields || []).forEach((name) => names.set(name, name));
+    Object.entries(config.attributes || {}).forEach(([name, attribute]) => {
+      names.set(name, name);
+      if (attribute.field && !names.has(attribute.field)) {
+        names.set(attribute.field, name);
+      }
+    });
+    return names;
+  }
+
+  /**
+   * Attribute name for one data key
+   * @private
+   */
+  static _attributeFor(key, names, fieldMap) {
+    if (Object.prototype.hasOwnProperty.call(fieldMap, key)) {
+      const column = fieldMap[key];
+      return names.get(column) || column;
+    }
+    if (names.has(key)) {
+      return names.get(key);
+    }
+
+    const snake = key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase();
+    if (names.has(snake)) {
+      return names.get(snake);
+    }
+    const camel = key.replace(/_([a-z0-9])/g, (match, char) =>
+      char.toUpperCase()
+    );
+    if (names.has(camel)) {
+      return names.get(camel);
+    }
+    return key;
+  }
+}
+
+module.exports = FieldMapper;
@@ -0,0 +1,165 @@
+"use strict";
+
+/**
+ * LOGGER
+ *
+ * Where the seeder's progress output goes:
+ *
+ *   level    "silent" | "error" | "info" (default) | "debug"
+ *   format   "pretty" (default, the emoji lines) | "json" (one event per line)
+ *   target   your own logger, e.g. { error, warn, info, debug } functions
+ *
+ * In JSON mode every line is an object with `time`, `level`, `event`,
+ * `message` and the event data, e.g.
+ *
+ *   {"time":"...","level":"info","event":"batch.inserted","entity":"Users",
+ *    "table":"Users","counts":{...},"durationMs":12,"message":"..."}
+ *
+ * The SEEDER_LOG_LEVEL and SEEDER_LOG_FORMAT environment variables set the
+ * defaults, e.g. SEEDER_LOG_LEVEL=silent in test runs.
+ */
+
+const LEVELS = { silent: 0, error: 1, info: 2, debug: 3 };
+const FORMATS = ["pretty", "json"];
+
+// Warnings are shown from the "info" level on
+const THRESHOLDS = { error: 1, warn: 2, info: 2, debug: 3 };
+
+class Logger {
+  /**
+   * @param {Object} options - Logger options (optional)
+   * @param {string} options.level - "silent", "error", "info" or "debug"
+   * @param {string} options.format - "pretty" or "json"
+   * @param {Object} options.target - Custom logger with error, warn, info
+   *   and debug methods, called with (message, { event, ...data })
+   */
+  constructor(options = {}) {
+    this.level = options.level || process.env.SEEDER_LOG_LEVEL || "info";
+    this.format = options.format || process.env.SEEDER_LOG_FORMAT || "pretty";
+    this.target = options.target || null;
+
+    if (!Object.prototype.hasOwnProperty.call(LEVELS, this.level)) {
+      throw new Error(
+        `Unknown log level '${this.level}'. Use ${Object.keys(LEVELS).join(
+          ", "
+        )}`
+      );
+    }
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(
+        `Unknown log format '${this.format}'. Use ${FORMATS.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Logger for a `logger` option: a Logger, a level name, Logger options or
+   * a custom logger object
+   *
+   * @param {Logger|string|Object} option - Logger option (optional)
+   * @returns {Logger} Logger instance
+   *
+   * @example
+   * Logger.from("silent");
+   * Logger.from({ level: "debug", format: "json" });
+   * Logger.from(pinoLogger); // { error, warn, info, debug } methods
+   */
+  static from(option) {
+    if (option instanceof Logger) {
+      return option;
+    }
+    if (typeof option === "string") {
+      return new Logger({ level: option });
+    }
+    if (option && typeof option.info === "function") {
+      return new Logger({ level: "debug", target: option });
+    }
+    return new Logger(option || {});
+  }
+
+  /**
+   * Check whether messages of a level are written
+   * @param {string} level - "error", "warn", "info" or "debug"
+   * @returns {boolean} True when the level is enabled
+   */
+  isEnabled(level) {
+    return LEVELS[this.level] >= THRESHOLDS[level];
+  }
+
+  /**
+   * Log an error
+   * @param {string} message - Pretty message
+   * @param {string} event - Event name (optional, e.g. "insert.failed")
+   * @param {Object} data - Event data (optional)
+   */
+  error(message, event, data) {
+    this._write("error", message, event, data);
+  }
+
+  /**
+   * Log a warning
+   * @param {string} message - Pretty message
+   * @param {string} event - Event name (optional)
+   * @param {Object} data - Event data (optional)
+   */
+  warn(message, event, data) {
+    this._write("warn", message, event, data);
+  }
+
+  /**
+   * Log progress
+   * @param {string} message - Pretty message
+   * @param {string} event - Event name (optional, e.g. "batch.inserted")
+   * @param {Object} data - Event data (optional)
+   */
+  info(message, event, data) {
+    this._write("info", message, event, data);
+  }
+
+  /**
+   * Log details
+   * @param {string} message - Pretty message
+   * @param {string} event - Event name (optional)
+   * @param {Object} data - Event data (optional)
+   */
+  debug(message, event, data) {
+    this._write("debug", message, event, data);
+  }
+
+  /**
+   * Write one message in the configured format
+   * @private
+   */
+  _write(level, message, event = "log", data = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    if (this.target) {
+      const method = typeof this.target[level] === "function" ? level : "info";
+      this.target[method](message, { event, ...data });
+      return;
+    }
+
+    const line =
+      this.format === "json"
+        ? JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            event,
+            ...data,
+            message: message.trim(),
+          })
+        : message;
+
+    if (level === "error") {
+      console.error(line);
+    } else if (level === "warn") {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+module.exports = Logger;
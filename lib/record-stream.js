@@ -0,0 +1,232 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const DataLoaders = require("./data-loaders");
+
+const NDJSON_EXTENSIONS = [".ndjson", ".jsonl"];
+
+/**
+ * RecordStream - Reads records from a data file one at a time
+ *
+ * Supports NDJSON (.ndjson/.jsonl, one record per line) and a top-level JSON
+ * array (.json). Only the record being parsed is held in memory, and the file
+ * is read only as fast as records are consumed (backpressure).
+ *
+ * @class RecordStream
+ */
+class RecordStream {
+  /**
+   * Check whether a data file can be streamed
+   * @param {string} dataFile - Path to data file
+   * @returns {boolean} True for .json, .ndjson and .jsonl files
+   */
+  static supports(dataFile) {
+    const extension = path.extname(dataFile).toLowerCase();
+    return extension === ".json" || NDJSON_EXTENSIONS.includes(extension);
+  }
+
+  /**
+   * Yields the records of a data file
+   *
+   * @param {string} dataFile - Path to data file
+   * @returns {AsyncGenerator<Object>} Records in file order
+   * @throws {Error} If the file is missing, unsupported or malformed
+   *
+   * @example
+   * for await (const record of RecordStream.read('data/events.ndjson')) {
+   *   // ...
+   * }
+   */
+  static async *read(dataFile) {
+    if (!this.supports(dataFile)) {
+      throw new Error(
+        `Cannot stream ${dataFile}: streaming supports .json arrays and .ndjson/.jsonl files`
+      );
+    }
+
+    const stream = fs.createReadStream(path.resolve(dataFile), {
+      encoding: "utf8",
+    });
+    const chunks = this._chunks(stream, dataFile);
+    const extension = path.extname(dataFile).toLowerCase();
+
+    if (NDJSON_EXTENSIONS.includes(extension)) {
+      yield* this._readLines(chunks, dataFile);
+    } else {
+      yield* this._readArray(chunks, dataFile);
+    }
+  }
+
+  /**
+   * Yields file chunks, turning a missing file into the usual error
+   * @private
+   */
+  static async *_chunks(stream, dataFile) {
+    try {
+      for await (const chunk of stream) {
+        yield chunk;
+      }
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Data file not found: ${dataFile}`);
+      }
+      throw error;
+    } finally {
+      stream.destroy();
+    }
+  }
+
+  /**
+   * Parses NDJSON: one JSON record per non-blank line
+   * @private
+   */
+  static async *_readLines(chunks, dataFile) {
+    let pending = "";
+    let line = 0;
+
+    const parseLine = (text) => {
+      line++;
+      if (text.trim() === "") {
+        return undefined;
+      }
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw DataLoaders.parseError(
+          "JSON",
+          dataFile,
+          line,
+          1,
+          error.message.replace(/ in JSON at position \d+.*$/, "")
+        );
+      }
+    };
+
+    for await (const chunk of chunks) {
+      pending += chunk;
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      for (const text of lines) {
+        const record = parseLine(text);
+        if (record !== undefined) {
+          yield record;
+        }
+      }
+    }
+
+    const record = parseLine(pending);
+    if (record !== undefined) {
+      yield record;
+    }
+  }
+
+  /**
+   * Parses a top-level JSON array element by element
+   * @private
+   */
+  static async *_readArray(chunks, dataFile) {
+    let started = false;
+    let finished = false;
+    let element = "";
+    let elementStarted = false;
+    let elementLine = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let line = 1;
+    let column = 0;
+
+    const fail = (reason) =>
+      DataLoaders.parseError("JSON", dataFile, line, column, reason);
+
+    const parseElement = () => {
+      try {
+        return JSON.parse(element);
+      } catch (error) {
+        throw DataLoaders.parseError(
+          "JSON",
+          dataFile,
+          elementLine,
+          1,
+          error.message.replace(/ in JSON at position \d+.*$/, "")
+        );
+      }
+    };
+
+    for await (const chunk of chunks) {
+      const records = [];
+
+      for (const char of chunk) {
+        if (char === "\n") {
+          line++;
+          column = 0;
+        } else {
+          column++;
+        }
+
+        if (finished) {
+          if (!/\s/.test(char)) {
+            throw fail("Unexpected content after the top-level array");
+          }
+          continue;
+        }
+
+        if (!started) {
+          if (char === "[") {
+            started = true;
+          } else if (!/\s/.test(char)) {
+            throw fail("Data must be an array");
+          }
+          continue;
+        }
+
+        if (inString) {
+          element += char;
+          if (escaped) {
+            escaped = false;
+          } else if (char === "\\") {
+            escaped = true;
+          } else if (char === '"') {
+            inString = false;
+          }
+          continue;
+        }
+
+        if (depth === 0 && (char === "," || char === "]")) {
+          if (elementStarted) {
+            records.push(parseElement());
+          } else if (char === ",") {
+            throw fail("Unexpected ','");
+          }
+          element = "";
+          elementStarted = false;
+          finished = char === "]";
+          continue;
+        }
+
+        if (!elementStarted && !/\s/.test(char)) {
+          elementStarted = true;
+          elementLine = line;
+        }
+        if (char === '"') {
+          inString = true;
+        } else if (char === "{" || char === "[") {
+          depth++;
+        } else if (char === "}" || char === "]") {
+          depth--;
+        }
+        element += char;
+      }
+
+      // Hand records over after each chunk so reading waits for the consumer
+      yield* records;
+    }
+
+    if (!finished) {
+      throw fail(started ? "Unexpected end of data" : "Data must be an array");
+    }
+  }
+}
+
+module.exports = RecordStream;
@@ -0,0 +1,148 @@
+"use strict";
+
+/**
+ * REFERENCE RESOLVER
+ *
+ * Replaces symbolic foreign keys in data records with real values:
+ *
+ *   "roleId": { "$ref": "Roles", "where": { "name": "admin" }, "select": "id" }
+ *
+ * References are resolved against rows inserted earlier in the same run
+ * first, then against the database.
+ */
+
+const SeederValidator = require("./seeder-validator");
+
+class ReferenceResolver {
+  /**
+   * @param {Object} queryInterface - Sequelize query interface
+   * @param {Object} seederConfig - SeederConfig used to map entities to tables
+   */
+  constructor(queryInterface, seederConfig) {
+    this.queryInterface = queryInterface;
+    this.seederConfig = seederConfig;
+    this.insertedRows = new Map();
+    this.cache = new Map();
+  }
+
+  /**
+   * Check whether a value is a symbolic reference
+   * @param {*} value - Field value
+   * @returns {boolean} True for `{ "$ref": ... }` objects
+   */
+  static isReference(value) {
+    return (
+      value !== null &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      typeof value.$ref === "string"
+    );
+  }
+
+  /**
+   * Remember rows inserted during this run so later entities can reference them
+   * @param {string} tableName - Table the rows were inserted into
+   * @param {Array} rows - Inserted rows
+   */
+  recordInserted(tableName, rows) {
+    if (!this.insertedRows.has(tableName)) {
+      this.insertedRows.set(tableName, []);
+    }
+    this.insertedRows.get(tableName).push(...rows);
+  }
+
+  /**
+   * Resolve every reference in a record
+   * @param {Object} record - Raw data record
+   * @param {number} index - Record index (for error reporting)
+   * @param {string} entityType - Entity the record belongs to
+   * @param {Object} options - Lookup options (optional)
+   * @param {Object} options.transaction - Transaction the database lookup runs in
+   * @returns {Promise<Object>} Record with references replaced by values
+   * @throws {Error} If a reference matches no row or more than one row
+   */
+  async resolveRecord(record, index, entityType, options = {}) {
+    if (!record || typeof record !== "object") {
+      return record;
+    }
+
+    const fields = Object.keys(record).filter((field) =>
+      ReferenceResolver.isReference(record[field])
+    );
+    if (fields.length === 0) {
+      return record;
+    }
+
+    const resolved = { ...record };
+    for (const field of fields) {
+      resolved[field] = await this._resolveReference(
+        record[field],
+        index,
+        entityType,
+        field,
+        options
+      );
+    }
+    return resolved;
+  }
+
+  /**
+   * Resolve a single reference
+   * @private
+   */
+  async _resolveReference(reference, index, entityType, field, options) {
+    const where = reference.where || {};
+    const select = reference.select || "id";
+    const { tableName } = this.seederConfig.getEntityConfig(reference.$ref);
+    const location = `${entityType} record ${index}, field '${field}'`;
+    const description = `${reference.$ref} where ${JSON.stringify(where)}`;
+
+    let matches = SeederValidator.findMatchingRecords(
+      this.insertedRows.get(tableName),
+      where
+    ).filter((row) => row[select] !== undefined && row[select] !== null);
+
+    if (matches.length === 0) {
+      matches = await this._lookup(tableName, where, select, options);
+    }
+
+    if (matches.length === 0) {
+      throw new Error(
+        `Unresolved reference in ${location}: no row found for ${description}`
+      );
+    }
+    if (matches.length > 1) {
+      throw new Error(
+        `Ambiguous reference in ${location}: ${description} matches more than one row`
+      );
+    }
+
+    return matches[0][select];
+  }
+
+  /**
+   * Look up referenced rows in the database (cached per query)
+   * @private
+   */
+  async _lookup(tableName, where, select, options) {
+    const cacheKey = `${tableName}|${select}|${JSON.stringify(where)}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const rows = await this.queryInterface.select(null, tableName, {
+      where,
+      attributes: [select],
+      limit: 2,
+      raw: true,
+      transaction: options.transaction,
+    });
+
+    if (rows.length > 0) {
+      this.cache.set(cacheKey, rows);
+    }
+    return rows;
+  }
+}
+
+module.exports = ReferenceResolver;
@@ -0,0 +1,339 @@
+"use strict";
+
+const FieldMapper = require("./field-mapper");
+const SeedLedger = require("./seed-ledger");
+
+const MAX_VALUE_WIDTH = 30;
+
+/**
+ * SeedDiff - Compares processed data file records with the table contents
+ *
+ * Records are matched to rows on any of the uniqueFields, like the
+ * skipExisting and upsert insert modes. Only fields present in a record are
+ * compared, so columns the database fills in (ids, timestamps) never show up
+ * as changes. Values are compared by the column type of the model: BIGINT
+ * and DECIMAL values as exact decimals, string columns as they are.
+ *
+ * @class SeedDiff
+ */
+class SeedDiff {
+  /**
+   * Compares records with table rows
+   *
+   * @param {Array<Object>} records - Processed records (attribute names)
+   * @param {Array<Object>} rows - Table rows (column names)
+   * @param {Object} config - Entity configuration
+   * @returns {Object} JSON-friendly result:
+   *   { entityType, tableName, uniqueFields, counts,
+   *     new: [record], changed: [{ key, changes: { field: { file, table } } }],
+   *     unchanged: [{ key }], uncovered: [row] }
+   * @throws {Error} If the entity has no uniqueFields
+   */
+  static compare(records, rows, config) {
+    const uniqueFields = config.uniqueFields || [];
+    const uniqueColumns = this._uniqueColumns(config);
+    const kinds = this._columnKinds(config);
+    const rowsByKey = new Map();
+    rows.forEach((row) => {
+      uniqueColumns.forEach((column) => {
+        if (row[column] != null) {
+          rowsByKey.set(`${column}=${String(row[column])}`, row);
+        }
+      });
+    });
+
+    const result = {
+      entityType: config.entityType,
+      tableName: config.tableName,
+      uniqueFields,
+      counts: { new: 0, changed: 0, unchanged: 0, uncovered: 0 },
+      new: [],
+      changed: [],
+      unchanged: [],
+      uncovered: [],
+    };
+    const covered = new Set();
+
+    records.forEach((record) => {
+      const columns = FieldMapper.toColumns(record, config);
+      const column = uniqueColumns.find(
+        (name) =>
+          columns[name] != null &&
+          rowsByKey.has(`${name}=${String(columns[name])}`)
+      );
+      if (!column) {
+        result.new.push(record);
+        return;
+      }
+
+      const row = rowsByKey.get(`${column}=${String(columns[column])}`);
+      covered.add(row);
+
+      const changes = {};
+      Object.entries(columns).forEach(([name, value]) => {
+        if (!this._sameValue(value, row[name], kinds[name])) {
+          changes[name] = { file: value, table: row[name] };
+        }
+      });
+
+      const key = { [column]: columns[column] };
+      if (Object.keys(changes).length > 0) {
+        result.changed.push({ key, changes });
+      } else {
+        result.unchanged.push({ key });
+      }
+    });
+
+    result.uncovered = rows.filter((row) => !covered.has(row));
+    Object.keys(result.counts).forEach((status) => {
+      result.counts[status] = result[status].length;
+    });
+    return result;
+  }
+
+  /**
+   * Where clauses to read only the rows a diff needs: the rows matching a
+   * record on one of the uniqueFields, and the rows matching none (the
+   * "not in file" rows, of which only the key columns are read)
+   *
+   * @param {Array<Object>} records - Processed records (attribute names)
+   * @param {Object} config - Entity configuration
+   * @param {Object} Op - Sequelize operators
+   * @returns {Object} { matching, uncovered, keyColumns }: matching is null
+   *   when no record has a unique value
+   * @throws {Error} If the entity has no uniqueFields
+   */
+  static selectionFor(records, config, Op) {
+    const uniqueColumns = this._uniqueColumns(config);
+    const columns = records.map((record) =>
+      FieldMapper.toColumns(record, config)
+    );
+    const valuesByColumn = uniqueColumns
+      .map((column) => [
+        column,
+        [
+          ...new Set(
+            columns.map((row) => row[column]).filter((value) => value != null)
+          ),
+        ],
+      ])
+      .filter(([, values]) => values.length > 0);
+
+    const matching =
+      valuesByColumn.length > 0
+        ? {
+            [Op.or]: valuesByColumn.map(([column, values]) => ({
+              [column]: { [Op.in]: values },
+            })),
+          }
+        : null;
+    // NULL never matches, also not in NOT IN
+    const uncovered = {
+      [Op.and]: valuesByColumn.map(([column, values]) => ({
+        [Op.or]: [{ [column]: null }, { [column]: { [Op.notIn]: values } }],
+      })),
+    };
+
+    const attributes = config.attributes || {};
+    const primaryKeyColumns = Object.values(attributes).some(
+      (attribute) => attribute.primaryKey
+    )
+      ? SeedLedger.primaryKeyColumnsFor(config)
+      : [];
+    const keyColumns = [...new Set([...uniqueColumns, ...primaryKeyColumns])];
+
+    return { matching, uncovered, keyColumns };
+  }
+
+  /**
+   * Renders a diff result as a human-readable table
+   *
+   * @param {Object} result - Result of compare()
+   * @param {Object} config - Entity configuration (for primary keys)
+   * @returns {string} Table text
+   */
+  static format(result, config = {}) {
+    const uniqueColumns = result.uniqueFields.map((field) =>
+      FieldMapper.columnFor(config, field)
+    );
+    const keyColumns = [
+      ...uniqueColumns,
+      ...SeedLedger.primaryKeyColumnsFor(config),
+    ];
+    const describeKey = (values, columns) => {
+      const column = columns.find((name) => values[name] != null);
+      return column ? `${column}=${this._display(values[column])}` : "(no key)";
+    };
+
+    const lines = [
+      `🔎 ${result.entityType} (${result.tableName}) matched on ${result.uniqueFields.join(
+        ", "
+      )}`,
+      `${"STATUS".padEnd(12)} | ${"KEY".padEnd(30)} | ${"FIELD".padEnd(
+        20
+      )} | ${"FILE".padEnd(MAX_VALUE_WIDTH)} | TABLE`,
+      "-".repeat(120),
+    ];
+    const line = (status, key, field = "", file = "", table = "") =>
+      lines.push(
+        `${status.padEnd(12)} | ${key.padEnd(30)} | ${field.padEnd(
+          20
+        )} | ${file.padEnd(MAX_VALUE_WIDTH)} | ${table}`
+      );
+
+    result.new.forEach((record) => {
+      const columns = FieldMapper.toColumns(record, config);
+      line("new", describeKey(columns, uniqueColumns));
+    });
+    result.changed.forEach(({ key, changes }) => {
+      Object.entries(changes).forEach(([field, { file, table }], i) => {
+        line(
+          i === 0 ? "changed" : "",
+          i === 0 ? describeKey(key, Object.keys(key)) : "",
+          field,
+          this._display(file),
+          this._display(table)
+        );
+      });
+    });
+    result.uncovered.forEach((row) => {
+      line("not in file", describeKey(row, keyColumns));
+    });
+
+    lines.push("-".repeat(120));
+    lines.push(
+      `New: ${result.counts.new} | Changed: ${result.counts.changed} | Unchanged: ${result.counts.unchanged} | Not in file: ${result.counts.uncovered}`
+    );
+    return lines.join("\n");
+  }
+
+  /**
+   * Unique columns records are matched on
+   * @private
+   */
+  static _uniqueColumns(config) {
+    const uniqueFields = config.uniqueFields || [];
+    if (uniqueFields.length === 0) {
+      throw new Error(
+        `Cannot diff ${config.entityType}: no uniqueFields to match records to rows`
+      );
+    }
+    return uniqueFields.map((field) => FieldMapper.columnFor(config, field));
+  }
+
+  /**
+   * Kind of each model column: "numeric", "boolean", "json" or "string".
+   * Columns without a known type are left out.
+   * @private
+   */
+  static _columnKinds(config) {
+    const kinds = {};
+    Object.entries(config.attributes || {}).forEach(([name, attribute]) => {
+      const type = String(attribute.type || "").toUpperCase();
+      let kind = null;
+      if (/^(BOOLEAN|BOOL\b|TINYINT\(1\))/.test(type)) {
+        kind = "boolean";
+      } else if (
+        /^(BIGINT|DECIMAL|NUMERIC|INTEGER|INT\b|SMALLINT|MEDIUMINT|TINYINT|FLOAT|DOUBLE|REAL)/.test(
+          type
+        )
+      ) {
+        kind = "numeric";
+      } else if (/^JSONB?$/.test(type)) {
+        kind = "json";
+      } else if (/^(STRING|VARCHAR|CHAR|TEXT|CITEXT|UUID|ENUM)/.test(type)) {
+        kind = "string";
+      }
+      if (kind) {
+        kinds[FieldMapper.columnFor(config, name)] = kind;
+      }
+    });
+    return kinds;
+  }
+
+  /**
+   * Compares a file value with a table value, tolerating driver
+   * representations (dates, numeric strings, 0/1 booleans, JSON)
+   * @private
+   */
+  static _sameValue(fileValue, tableValue, kind = null) {
+    if (fileValue == null || tableValue == null) {
+      return fileValue == null && tableValue == null;
+    }
+    if (fileValue instanceof Date || tableValue instanceof Date) {
+      return new Date(fileValue).getTime() === new Date(tableValue).getTime();
+    }
+    return (
+      this._normalize(fileValue, kind) === this._normalize(tableValue, kind)
+    );
+  }
+
+  /**
+   * Comparable string form of a value for a column kind (see _columnKinds).
+   * Numbers are compared as decimal strings, never through Number, so
+   * BIGINT and DECIMAL values beyond 2^53 stay exact. Without a kind, a
+   * string with leading zeros ("007") is not a number.
+   * @private
+   */
+  static _normalize(value, kind = null) {
+    if (typeof value === "object") {
+      return JSON.stringify(value);
+    }
+
+    const text = String(value);
+    if (kind === "string") {
+      return text;
+    }
+    if (kind === "json") {
+      try {
+        return JSON.stringify(JSON.parse(text));
+      } catch {
+        return text;
+      }
+    }
+    if (kind === "boolean" || kind === null) {
+      if (["true", "1"].includes(text)) {
+        return "1";
+      }
+      if (["false", "0"].includes(text)) {
+        return "0";
+      }
+    }
+
+    const number =
+      kind === "numeric"
+        ? /^(-?)(\d+)(?:\.(\d+))?$/.exec(text.trim())
+        : /^(-?)(0|[1-9]\d*)(?:\.(\d+))?$/.exec(text);
+    if (!number) {
+      return text;
+    }
+    const [, sign, integer, fraction = ""] = number;
+    const digits = [
+      integer.replace(/^0+(?=\d)/, ""),
+      fraction.replace(/0+$/, ""),
+    ]
+      .filter(Boolean)
+      .join(".");
+    return digits === "0" ? "0" : `${sign}${digits}`;
+  }
+
+  /**
+   * Short display form of a value
+   * @private
+   */
+  static _display(value) {
+    let text;
+    if (value === undefined || value === null) {
+      text = "NULL";
+    } else if (value instanceof Date) {
+      text = value.toISOString();
+    } else {
+      text = JSON.stringify(value);
+    }
+    return text.length > MAX_VALUE_WIDTH
+      ? `${text.slice(0, MAX_VALUE_WIDTH - 1)}…`
+      : text;
+  }
+}
+
+module.exports = SeedDiff;
@@ -0,0 +1,297 @@
+"use strict";
+
+const FieldMapper = require("./field-mapper");
+const Logger = require("./logger");
+
+/**
+ * SeedLedger - Records exactly which rows a seeder inserted
+ *
+ * Every row inserted through SeederFactory.insertData gets a ledger entry with
+ * the entity, the seeder run ID and the row's primary key. removeData then
+ * deletes exactly those rows, even after the data file has changed, and never
+ * touches rows created after seeding.
+ *
+ * @class SeedLedger
+ */
+class SeedLedger {
+  /**
+   * @param {Object} queryInterface - Sequelize query interface
+   * @param {Object} Sequelize - Sequelize class (for data types and operators)
+   * @param {Object} options - Ledger options
+   * @param {string} options.tableName - Ledger table (default: "SeederFactoryLedger")
+   * @param {string} options.runId - ID of this seeder run (default: generated)
+   * @param {Logger} options.logger - Logger (default: pretty console output)
+   */
+  constructor(queryInterface, Sequelize, options = {}) {
+    this.queryInterface = queryInterface;
+    this.Sequelize = Sequelize;
+    this.tableName = options.tableName || "SeederFactoryLedger";
+    this.runId =
+      options.runId ||
+      `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    this.tableReady = false;
+    this.logger = Logger.from(options.logger);
+  }
+
+  /**
+   * Primary key fields of an entity (defaults to "id")
+   * @param {Object} config - Entity configuration
+   * @returns {Array<string>} Primary key field names
+   */
+  static primaryKeysFor(config) {
+    const attributes = config.attributes || {};
+    const primaryKeys = Object.keys(attributes).filter(
+      (name) => attributes[name].primaryKey
+    );
+    return primaryKeys.length > 0 ? primaryKeys : ["id"];
+  }
+
+  /**
+   * Primary key columns of an entity (the model's `field` option), as found
+   * in the rows passed to bulkInsert
+   * @param {Object} config - Entity configuration
+   * @returns {Array<string>} Primary key column names
+   */
+  static primaryKeyColumnsFor(config) {
+    return this.primaryKeysFor(config).map((name) =>
+      FieldMapper.columnFor(config, name)
+    );
+  }
+
+  /**
+   * Bulk insert options needed to get the primary keys of inserted rows back
+   * @param {Object} config - Entity configuration
+   * @param {Array} rows - Rows about to be inserted
+   * @returns {Object} Extra bulkInsert options
+   */
+  insertOptionsFor(config, rows) {
+    const primaryKeys = SeedLedger.primaryKeyColumnsFor(config);
+    if (this._haveKeys(rows, primaryKeys) || !this._supportsReturning()) {
+      return {};
+    }
+    return { returning: primaryKeys };
+  }
+
+  /**
+   * Creates the ledger table if it does not exist yet
+   * @param {Object} transaction - Transaction to run in (optional)
+   * @returns {Promise<void>}
+   */
+  async ensureTable(transaction) {
+    if (this.tableReady) {
+      return;
+    }
+
+    const { Sequelize } = this;
+    await this.queryInterface.createTable(
+      this.tableName,
+      {
+        id: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        entityType: { type: Sequelize.STRING, allowNull: false },
+        tableName: { type: Sequelize.STRING, allowNull: false },
+        runId: { type: Sequelize.STRING, allowNull: false },
+        primaryKey: { type: Sequelize.TEXT, allowNull: false },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+      },
+      { transaction }
+    );
+    this.tableReady = true;
+  }
+
+  /**
+   * Records the primary keys of rows inserted for an entity, by column name
+   *
+   * @param {Object} config - Entity configuration
+   * @param {Array} rows - Rows passed to bulkInsert (keyed by column names)
+   * @param {*} insertResult - Value returned by bulkInsert
+   * @param {Object} transaction - Transaction to run in (optional)
+   * @returns {Promise<number>} Number of ledger entries written
+   */
+  async record(config, rows, insertResult, transaction) {
+    const keys = await this._insertedKeys(
+      config,
+      rows,
+      insertResult,
+      transaction
+    );
+    if (keys.length < rows.length) {
+      this.logger.warn(
+        `⚠️  Ledger could only record ${keys.length}/${rows.length} ${config.entityType} rows: primary keys were not returned`
+      );
+    }
+    if (keys.length === 0) {
+      return 0;
+    }
+
+    await this.ensureTable(transaction);
+    const now = new Date();
+    await this.queryInterface.bulkInsert(
+      this.tableName,
+      keys.map((key) => ({
+        entityType: config.entityType,
+        tableName: config.tableName,
+        runId: this.runId,
+        primaryKey: JSON.stringify(key),
+        createdAt: now,
+      })),
+      { transaction }
+    );
+    return keys.length;
+  }
+
+  /**
+   * Deletes the rows recorded for an entity, then their ledger entries
+   *
+   * @param {Object} config - Entity configuration
+   * @param {Object} options - Remove options
+   * @param {string} options.runId - Only remove rows of this run (default: all runs)
+   * @param {Object} options.transaction - Transaction to run in (optional)
+   * @param {DryRun} options.dryRun - Collect the DELETE statements instead of
+   *   running them (the ledger is still read)
+   * @returns {Promise<number>} Number of recorded rows removed
+   */
+  async remove(config, options = {}) {
+    const { Op } = this.Sequelize;
+    const { transaction, dryRun } = options;
+    if (!dryRun) {
+      await this.ensureTable(transaction);
+    }
+
+    const ledgerWhere = { entityType: config.entityType };
+    if (options.runId) {
+      ledgerWhere.runId = options.runId;
+    }
+
+    let entries;
+    try {
+      entries = await this.queryInterface.select(null, this.tableName, {
+        where: ledgerWhere,
+        attributes: ["id", "primaryKey"],
+        raw: true,
+        transaction,
+      });
+    } catch (error) {
+      // A dry run does not create the ledger table
+      if (!dryRun) {
+        throw error;
+      }
+      entries = [];
+    }
+    if (entries.length === 0) {
+      return 0;
+    }
+
+    const bulkDelete = (tableName, where) =>
+      dryRun
+        ? dryRun.delete(tableName, where)
+        : this.queryInterface.bulkDelete(tableName, where, { transaction });
+    if (dryRun) {
+      dryRun.comment(
+        `${config.entityType}: ${entries.length} rows recorded in ${this.tableName}`
+      );
+    }
+
+    const keys = entries.map((entry) => JSON.parse(entry.primaryKey));
+    const primaryKeys = Object.keys(keys[0]);
+    const batchSize = config.batchSize || 1000;
+
+    for (let i = 0; i < keys.length; i += batchSize) {
+      const batch = keys.slice(i, i + batchSize);
+      const where =
+        primaryKeys.length === 1
+          ? {
+              [primaryKeys[0]]: {
+                [Op.in]: batch.map((key) => key[primaryKeys[0]]),
+              },
+            }
+          : { [Op.or]: batch };
+      await bulkDelete(config.tableName, where);
+    }
+
+    const entryIds = entries.map((entry) => entry.id);
+    for (let i = 0; i < entryIds.length; i += batchSize) {
+      await bulkDelete(this.tableName, {
+        id: { [Op.in]: entryIds.slice(i, i + batchSize) },
+      });
+    }
+
+    return keys.length;
+  }
+
+  /**
+   * Works out the primary keys of inserted rows: from the rows themselves,
+   * from the RETURNING result, or by looking the rows up by uniqueFields
+   * @private
+   */
+  async _insertedKeys(config, rows, insertResult, transaction) {
+    const primaryKeys = SeedLedger.primaryKeyColumnsFor(config);
+    const pick = (row) =>
+      primaryKeys.reduce((key, field) => ({ ...key, [field]: row[field] }), {});
+
+    if (this._haveKeys(rows, primaryKeys)) {
+      return rows.map(pick);
+    }
+    if (
+      Array.isArray(insertResult) &&
+      this._haveKeys(insertResult, primaryKeys)
+    ) {
+      return insertResult.map(pick);
+    }
+
+    const uniqueColumn = (config.uniqueFields || [])
+      .map((field) => FieldMapper.columnFor(config, field))
+      .find((column) => rows.every((row) => row[column] != null));
+    if (!uniqueColumn) {
+      return [];
+    }
+
+    const found = await this.queryInterface.select(null, config.tableName, {
+      where: {
+        [uniqueColumn]: {
+          [this.Sequelize.Op.in]: rows.map((row) => row[uniqueColumn]),
+        },
+      },
+      attributes: primaryKeys,
+      raw: true,
+      transaction,
+    });
+    return found.map(pick);
+  }
+
+  /**
+   * Check that every row carries all primary key values
+   * @private
+   */
+  _haveKeys(rows, primaryKeys) {
+    return (
+      rows.length > 0 &&
+      rows.every(
+        (row) =>
+          row &&
+          typeof row === "object" &&
+          primaryKeys.every((field) => row[field] != null)
+      )
+    );
+  }
+
+  /**
+   * Check whether the dialect can return inserted rows (RETURNING)
+   * @private
+   */
+  _supportsReturning() {
+    const sequelize = this.queryInterface.sequelize;
+    return Boolean(
+      sequelize &&
+      sequelize.dialect &&
+      sequelize.dialect.supports &&
+      sequelize.dialect.supports.returnValues
+    );
+  }
+}
+
+module.exports = SeedLedger;
@@ -0,0 +1,213 @@
+"use strict";
+
+const ReferenceResolver = require("./reference-resolver");
+
+/**
+ * SeedPlan - Seeds several entities in dependency order
+ *
+ * Dependencies are worked out from:
+ * - belongsTo associations and attribute `references` of the models
+ * - `{ "$ref": ... }` values in the data files
+ * - an explicit `dependsOn` list in the entity's custom configuration
+ *
+ * Entities are sorted topologically; `up` seeds them in that order and
+ * `down` removes them in reverse.
+ *
+ * @class SeedPlan
+ */
+class SeedPlan {
+  /**
+   * @param {Object} factory - SeederFactory used to process, insert and remove data
+   * @param {Array<string>} entities - Entity types to seed (e.g. ["Roles", "Users"])
+   * @param {Object} options - Plan options
+   * @param {Object} options.customConfigs - Custom configuration per entity type
+   * @param {Object} options.transaction - Transaction shared by every entity
+   * @param {string} options.mode - Insert mode passed to insertData
+   */
+  constructor(factory, entities, options = {}) {
+    if (!Array.isArray(entities) || entities.length === 0) {
+      throw new Error("Seed plan needs a non-empty array of entities");
+    }
+
+    this.factory = factory;
+    this.entities = [...new Set(entities)];
+    this.customConfigs = options.customConfigs || {};
+    this.transaction = options.transaction;
+    this.mode = options.mode;
+  }
+
+  /**
+   * Custom configuration for one entity of the plan
+   * @param {string} entityType - Entity type
+   * @returns {Object} Custom configuration
+   */
+  customConfigFor(entityType) {
+    return this.customConfigs[entityType] || {};
+  }
+
+  /**
+   * Works out the dependency graph and sorts the entities topologically
+   *
+   * @returns {Promise<Array<string>>} Entity types, dependencies first
+   * @throws {Error} If the dependencies contain a cycle
+   */
+  async resolveOrder() {
+    const graph = await this._buildGraph();
+    const order = [];
+    const state = new Map(); // entity -> "visiting" | "done"
+
+    const visit = (entityType, trail) => {
+      if (state.get(entityType) === "done") {
+        return;
+      }
+      if (state.get(entityType) === "visiting") {
+        const cycle = [...trail.slice(trail.indexOf(entityType)), entityType];
+        throw new Error(`Dependency cycle detected: ${cycle.join(" -> ")}`);
+      }
+
+      state.set(entityType, "visiting");
+      for (const dependency of graph.get(entityType)) {
+        visit(dependency, [...trail, entityType]);
+      }
+      state.set(entityType, "done");
+      order.push(entityType);
+    };
+
+    this.entities.forEach((entityType) => visit(entityType, []));
+    return order;
+  }
+
+  /**
+   * Processes and inserts every entity in dependency order
+   *
+   * @returns {Promise<Object>} Inserted counts per entity type
+   */
+  async up() {
+    const order = await this.resolveOrder();
+    this.factory.logger.info(
+      `🧭 Seed plan: ${order.join(" → ")}`,
+      "plan.started",
+      { order }
+    );
+
+    const operations = {};
+    for (const entityType of order) {
+      const customConfig = this.customConfigFor(entityType);
+      const processedData = await this.factory.processData(entityType, {
+        customConfig,
+        transaction: this.transaction,
+      });
+
+      if (processedData.length === 0) {
+        this.factory.logger.warn(`⚠️  No ${entityType} data to seed`);
+        operations[entityType] = { inserted: 0, errors: 0 };
+        continue;
+      }
+
+      const counts = await this.factory.insertData(entityType, processedData, {
+        customConfig,
+        transaction: this.transaction,
+        mode: this.mode,
+      });
+      operations[entityType] = { ...counts, errors: 0 };
+    }
+
+    return operations;
+  }
+
+  /**
+   * Removes every entity in reverse dependency order
+   *
+   * @returns {Promise<Array<string>>} Entity types in the order they were removed
+   */
+  async down() {
+    const order = (await this.resolveOrder()).reverse();
+    this.factory.logger.info(
+      `🧭 Seed plan rollback: ${order.join(" → ")}`,
+      "plan.rollback",
+      { order }
+    );
+
+    for (const entityType of order) {
+      await this.factory.removeData(entityType, {
+        customConfig: this.customConfigFor(entityType),
+        transaction: this.transaction,
+      });
+    }
+
+    return order;
+  }
+
+  /**
+   * Builds entity -> dependencies, keeping only entities that are in the plan
+   * @private
+   */
+  async _buildGraph() {
+    const configs = new Map();
+    for (const entityType of this.entities) {
+      configs.set(
+        entityType,
+        await this.factory.seederConfig.loadEntityConfig(
+          entityType,
+          this.customConfigFor(entityType)
+        )
+      );
+    }
+
+    // Models, tables and entity names all identify the same plan entry
+    const aliases = new Map();
+    configs.forEach((config, entityType) => {
+      const model = this.factory.seederConfig._findModel(entityType);
+      [entityType, config.tableName, model && model.name].forEach((alias) => {
+        if (alias && !aliases.has(alias)) {
+          aliases.set(alias, entityType);
+        }
+      });
+    });
+
+    const graph = new Map();
+    for (const [entityType, config] of configs) {
+      const targets = [
+        ...(config.dependsOn || []),
+        ...(await this._referencedEntities(config)),
+      ];
+
+      const dependencies = new Set();
+      targets.forEach((target) => {
+        const dependency = aliases.get(target);
+        if (dependency && dependency !== entityType) {
+          dependencies.add(dependency);
+        }
+      });
+      graph.set(entityType, [...dependencies]);
+    }
+
+    return graph;
+  }
+
+  /**
+   * Collects the `$ref` targets used in an entity's data file
+   * @private
+   */
+  async _referencedEntities(config) {
+    let data;
+    try {
+      data = await this.factory._loadEntityData(config, { silent: true });
+    } catch {
+      // processData reports missing or broken data files
+      return [];
+    }
+
+    const targets = new Set();
+    (Array.isArray(data) ? data : []).forEach((item) => {
+      Object.values(item || {}).forEach((value) => {
+        if (ReferenceResolver.isReference(value)) {
+          targets.add(value.$ref);
+        }
+      });
+    });
+    return [...targets];
+  }
+}
+
+module.exports = SeedPlan;
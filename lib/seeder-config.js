@@ -9,18 +9,60 @@
  * Auto-discovers:
  * - Table names from Sequelize models
  * - Required fields from database schema
+ * - Attributes straight from loaded models (when a sequelize instance or
+ *   models registry is given), falling back to scanning model files
+ * - Columns from the live table schema when no model exists at all
  * - Data processors (generic for all)
  * - Validation rules
  */
 
 const fs = require("fs");
 const path = require("path");
+const Logger = require("./logger");
+
+const TIMESTAMP_FIELDS = {
+  createdAt: ["createdAt", "created_at"],
+  updatedAt: ["updatedAt", "updated_at"],
+  deletedAt: ["deletedAt", "deleted_at"],
+};
+const DATA_FILE_EXTENSIONS = [
+  ".json",
+  ".json5",
+  ".yaml",
+  ".yml",
+  ".ndjson",
+  ".jsonl",
+  ".csv",
+  ".tsv",
+];
 
 class SeederConfig {
-  constructor() {
-    this.modelsPath = path.join(__dirname, "../../models");
-    this.dataPath = path.join(__dirname, "../data");
+  /**
+   * @param {Object} options - Discovery options (optional)
+   * @param {Object} options.sequelize - Live Sequelize instance with models loaded
+   * @param {Object} options.models - Models registry (e.g. `require("../models")`)
+   * @param {Object} options.queryInterface - Query interface used to describe
+   *   tables that have no model
+   * @param {string} options.modelsPath - Directory scanned for model files
+   * @param {string} options.dataPath - Directory holding data files
+   * @param {string} options.environment - Environment whose overlay files are
+   *   merged into the data files (default: NODE_ENV)
+   * @param {Logger|string|Object} options.logger - Logger (see SeederFactory)
+   */
+  constructor(options = {}) {
+    this.modelsPath =
+      options.modelsPath || path.join(__dirname, "../../models");
+    this.dataPath = options.dataPath || path.join(__dirname, "../data");
+    this.sequelize = options.sequelize || null;
+    this.models = options.models || null;
+    this.queryInterface = options.queryInterface || null;
+    this.environment =
+      options.environment !== undefined
+        ? options.environment
+        : process.env.NODE_ENV || null;
     this.cache = new Map();
+    this.schemaCache = new Map();
+    this.logger = Logger.from(options.logger);
   }
 
   /**
@@ -30,8 +72,19 @@ class SeederConfig {
    * @returns {Object} Complete configuration
    */
   getEntityConfig(entityType, customConfig = {}) {
-    const cacheKey = `${entityType}_${JSON.stringify(customConfig)}`;
-    if (this.cache.has(cacheKey)) {
+    // Configs holding functions (e.g. transforms) are not cached: closures
+    // with the same source may capture different values
+    let cacheable = true;
+    const cacheKey = `${entityType}_${JSON.stringify(
+      customConfig,
+      (key, value) => {
+        if (typeof value === "function") {
+          cacheable = false;
+        }
+        return value;
+      }
+    )}`;
+    if (cacheable && this.cache.has(cacheKey)) {
       return this.cache.get(cacheKey);
     }
 
@@ -39,11 +92,15 @@ class SeederConfig {
       entityType,
       tableName: this._autoDiscoverTableName(entityType),
       dataFile: this._getDataFileName(entityType),
+      environment: this.environment,
       processor: "processGeneric", // Always use generic - no specific processors needed
       batchSize: 1000,
       validFields: this._autoDiscoverValidFields(entityType),
       uniqueFields: this._autoDiscoverUniqueFields(entityType),
       requiredFields: this._autoDiscoverRequiredFields(entityType),
+      attributes: this._autoDiscoverAttributes(entityType),
+      dependsOn: this._autoDiscoverDependencies(entityType),
+      timestamps: this._autoDiscoverTimestamps(entityType),
     };
 
     // Merge with custom configuration (custom config takes precedence)
@@ -52,15 +109,143 @@ class SeederConfig {
       ...customConfig,
     };
 
-    this.cache.set(cacheKey, config);
+    // Look for data/<entity>.<environment>.json next to the (custom) data file
+    if (config.overlayFile === undefined) {
+      config.overlayFile = this._getOverlayFileName(
+        config.dataFile,
+        config.environment
+      );
+    }
+    // Rows rejected by onRowError: "isolate" go next to the data file
+    if (config.rejectsFile === undefined) {
+      config.rejectsFile = this._getRejectsFileName(config.dataFile);
+    }
+
+    if (cacheable) {
+      this.cache.set(cacheKey, config);
+    }
     return config;
   }
 
+  /**
+   * Get configuration for any entity, falling back to the live table schema
+   * when neither a loaded model nor a model file describes the entity
+   * @param {string} entityType - Entity type (e.g., "Users")
+   * @param {Object} customConfig - Optional custom configuration from seeder
+   * @returns {Promise<Object>} Complete configuration
+   */
+  async loadEntityConfig(entityType, customConfig = {}) {
+    const config = this.getEntityConfig(entityType, customConfig);
+
+    if (
+      !this.queryInterface ||
+      config.attributes ||
+      this._findModelFile(entityType)
+    ) {
+      return config;
+    }
+
+    const schemaConfig = await this._autoDiscoverFromSchema(config.tableName);
+    if (!schemaConfig) {
+      return config;
+    }
+
+    return {
+      ...config,
+      ...schemaConfig,
+      ...customConfig,
+    };
+  }
+
+  /**
+   * Auto-discover valid, required and default-valued columns from the
+   * database schema. Results are cached per table.
+   * @private
+   */
+  async _autoDiscoverFromSchema(tableName) {
+    if (this.schemaCache.has(tableName)) {
+      return this.schemaCache.get(tableName);
+    }
+
+    let description;
+    try {
+      description = await this.queryInterface.describeTable(tableName);
+    } catch (error) {
+      this.logger.warn(
+        `⚠️  Could not describe table ${tableName}: ${error.message}`
+      );
+      return null;
+    }
+
+    const attributes = {};
+    Object.entries(description).forEach(([name, column]) => {
+      const hasDefault =
+        column.defaultValue !== null && column.defaultValue !== undefined;
+      const autoIncrement =
+        Boolean(column.autoIncrement) ||
+        (typeof column.defaultValue === "string" &&
+          /^nextval\(/i.test(column.defaultValue));
+
+      attributes[name] = {
+        field: name,
+        type: column.type ? String(column.type).toUpperCase() : null,
+        allowNull: column.allowNull !== false,
+        hasDefault,
+        defaultValue: hasDefault ? column.defaultValue : undefined,
+        primaryKey: Boolean(column.primaryKey),
+        autoIncrement,
+        unique: Boolean(column.unique),
+        timestamp: Object.values(TIMESTAMP_FIELDS).some((names) =>
+          names.includes(name)
+        ),
+        values: column.special && column.special.length ? column.special : null,
+        validate: {},
+      };
+    });
+
+    const fields = Object.keys(attributes);
+    const schemaConfig = {
+      attributes,
+      // Timestamp columns stay valid so values from the data file are kept
+      validFields: fields.filter((name) => !attributes[name].autoIncrement),
+      requiredFields: fields.filter(
+        (name) =>
+          !attributes[name].allowNull &&
+          !attributes[name].hasDefault &&
+          !attributes[name].autoIncrement &&
+          !attributes[name].timestamp
+      ),
+      timestamps: {
+        createdAt:
+          TIMESTAMP_FIELDS.createdAt.find((name) => attributes[name]) || null,
+        updatedAt:
+          TIMESTAMP_FIELDS.updatedAt.find((name) => attributes[name]) || null,
+        deletedAt:
+          TIMESTAMP_FIELDS.deletedAt.find((name) => attributes[name]) || null,
+      },
+    };
+
+    const uniqueFields = fields.filter(
+      (name) => attributes[name].unique && !attributes[name].primaryKey
+    );
+    if (uniqueFields.length > 0) {
+      schemaConfig.uniqueFields = uniqueFields;
+    }
+
+    this.schemaCache.set(tableName, schemaConfig);
+    return schemaConfig;
+  }
+
   /**
    * Auto-discover table name from model files
    * @private
    */
   _autoDiscoverTableName(entityType) {
+    const model = this._findModel(entityType);
+    if (model) {
+      return model.tableName || model.getTableName();
+    }
+
     // Simple mapping for common cases
     const commonMappings = {
       Users: "People",
@@ -106,6 +291,14 @@ class SeederConfig {
    * @private
    */
   _autoDiscoverValidFields(entityType) {
+    const attributes = this._autoDiscoverAttributes(entityType);
+    if (attributes) {
+      // Timestamp attributes stay valid so values from the data file are kept
+      return Object.keys(attributes).filter(
+        (name) => !attributes[name].autoIncrement
+      );
+    }
+
     const modelFile = this._findModelFile(entityType);
     if (!modelFile) {
       return []; // Let database handle validation
@@ -126,6 +319,17 @@ class SeederConfig {
         });
       }
 
+      if (fields.length === 0) {
+        return []; // Let database handle validation
+      }
+
+      // Timestamp columns stay valid so values from the data file are kept
+      const timestamps = this._autoDiscoverTimestamps(entityType) || {};
+      Object.values(timestamps).forEach((column) => {
+        if (column && !fields.includes(column)) {
+          fields.push(column);
+        }
+      });
       return fields;
     } catch {
       return []; // Let database handle validation
@@ -137,6 +341,16 @@ class SeederConfig {
    * @private
    */
   _autoDiscoverUniqueFields(entityType) {
+    const attributes = this._autoDiscoverAttributes(entityType);
+    if (attributes) {
+      const uniqueFields = Object.keys(attributes).filter(
+        (name) => attributes[name].unique && !attributes[name].primaryKey
+      );
+      if (uniqueFields.length > 0) {
+        return uniqueFields;
+      }
+    }
+
     const commonUniqueFields = {
       Users: ["userName", "email"],
       User: ["userName", "email"],
@@ -150,6 +364,19 @@ class SeederConfig {
    * @private
    */
   _autoDiscoverRequiredFields(entityType) {
+    const attributes = this._autoDiscoverAttributes(entityType);
+    if (attributes) {
+      return Object.keys(attributes).filter((name) => {
+        const attribute = attributes[name];
+        return (
+          attribute.allowNull === false &&
+          !attribute.hasDefault &&
+          !attribute.autoIncrement &&
+          !attribute.timestamp
+        );
+      });
+    }
+
     const modelFile = this._findModelFile(entityType);
     if (!modelFile) {
       return [];
@@ -193,6 +420,187 @@ class SeederConfig {
     }
   }
 
+  /**
+   * Auto-discover the models/tables an entity references, from belongsTo
+   * associations and attribute `references`
+   * @private
+   */
+  _autoDiscoverDependencies(entityType) {
+    const dependencies = new Set();
+    const model = this._findModel(entityType);
+
+    if (model) {
+      Object.values(model.associations || {}).forEach((association) => {
+        if (association.associationType === "BelongsTo" && association.target) {
+          dependencies.add(association.target.name);
+        }
+      });
+
+      const rawAttributes =
+        typeof model.getAttributes === "function"
+          ? model.getAttributes()
+          : model.rawAttributes;
+      Object.values(rawAttributes || {}).forEach((attribute) => {
+        const target = attribute.references && attribute.references.model;
+        if (typeof target === "string") {
+          dependencies.add(target);
+        } else if (target && (target.tableName || target.name)) {
+          dependencies.add(target.tableName || target.name);
+        }
+      });
+
+      dependencies.delete(model.name);
+      dependencies.delete(model.tableName);
+      return [...dependencies];
+    }
+
+    const modelFile = this._findModelFile(entityType);
+    if (modelFile) {
+      try {
+        const modelContent = fs.readFileSync(modelFile, "utf8");
+        const referenceMatches = modelContent.matchAll(
+          /references:\s*{\s*model:\s*['"`]([^'"`]+)['"`]/g
+        );
+        for (const match of referenceMatches) {
+          dependencies.add(match[1]);
+        }
+      } catch {
+        // Ignore errors, no dependencies
+      }
+    }
+
+    return [...dependencies];
+  }
+
+  /**
+   * Auto-discover attribute metadata from a loaded model
+   * Returns null when no live model is available for the entity.
+   * @private
+   */
+  _autoDiscoverAttributes(entityType) {
+    const model = this._findModel(entityType);
+    if (!model) {
+      return null;
+    }
+
+    const rawAttributes =
+      typeof model.getAttributes === "function"
+        ? model.getAttributes()
+        : model.rawAttributes;
+    const timestampAttributes = Object.values(model._timestampAttributes || {});
+    const attributes = {};
+
+    Object.entries(rawAttributes || {}).forEach(([name, attribute]) => {
+      const type = attribute.type || {};
+      const typeKey = type.key || (type.constructor && type.constructor.key);
+
+      // Virtual attributes have no column behind them
+      if (typeKey === "VIRTUAL") {
+        return;
+      }
+
+      attributes[name] = {
+        field: attribute.field || name,
+        type: typeKey || null,
+        allowNull: attribute.allowNull !== false,
+        hasDefault: attribute.defaultValue !== undefined,
+        defaultValue: attribute.defaultValue,
+        primaryKey: Boolean(attribute.primaryKey),
+        autoIncrement: Boolean(attribute.autoIncrement),
+        unique: Boolean(attribute.unique),
+        timestamp: timestampAttributes.includes(name),
+        values: attribute.values || null,
+        validate: attribute.validate || {},
+      };
+    });
+
+    return attributes;
+  }
+
+  /**
+   * Auto-discover the timestamp columns of an entity:
+   * { createdAt, updatedAt, deletedAt } column names, null when the column is
+   * not managed (timestamps: false, createdAt: false, not paranoid).
+   * Returns null when nothing is known, so the defaults apply.
+   * @private
+   */
+  _autoDiscoverTimestamps(entityType) {
+    const model = this._findModel(entityType);
+    if (model) {
+      const rawAttributes =
+        typeof model.getAttributes === "function"
+          ? model.getAttributes()
+          : model.rawAttributes || {};
+      const timestampAttributes = model._timestampAttributes || {};
+      const column = (key) => {
+        const name = timestampAttributes[key];
+        if (!name) {
+          return null;
+        }
+        return (rawAttributes[name] && rawAttributes[name].field) || name;
+      };
+      return {
+        createdAt: column("createdAt"),
+        updatedAt: column("updatedAt"),
+        deletedAt: column("deletedAt"),
+      };
+    }
+
+    const modelFile = this._findModelFile(entityType);
+    if (!modelFile) {
+      return null;
+    }
+
+    try {
+      const modelContent = fs.readFileSync(modelFile, "utf8");
+      if (/timestamps:\s*false/.test(modelContent)) {
+        return { createdAt: null, updatedAt: null, deletedAt: null };
+      }
+      const underscored = /underscored:\s*true/.test(modelContent);
+      const paranoid = /paranoid:\s*true/.test(modelContent);
+      return {
+        createdAt: underscored ? "created_at" : "createdAt",
+        updatedAt: underscored ? "updated_at" : "updatedAt",
+        deletedAt: paranoid ? (underscored ? "deleted_at" : "deletedAt") : null,
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Find a loaded model for entity in the models registry
+   * @private
+   */
+  _findModel(entityType) {
+    const registry =
+      this.models || (this.sequelize && this.sequelize.models) || null;
+    if (!registry) {
+      return null;
+    }
+
+    const models = Object.values(registry).filter(
+      (candidate) =>
+        candidate &&
+        typeof candidate === "function" &&
+        (candidate.rawAttributes ||
+          typeof candidate.getAttributes === "function")
+    );
+
+    const names = [entityType, this._singularize(entityType)];
+    return (
+      models.find((model) => names.includes(model.name)) ||
+      models.find(
+        (model) =>
+          model.tableName === entityType ||
+          (model.options &&
+            model.options.name &&
+            model.options.name.plural === entityType)
+      ) ||
+      null
+    );
+  }
+
   /**
    * Find model file for entity
    * @private
@@ -225,8 +633,55 @@ class SeederConfig {
    * @private
    */
   _getDataFileName(entityType) {
-    const filename = entityType.toLowerCase() + ".json";
-    return path.join(this.dataPath, filename);
+    const basePath = path.join(this.dataPath, entityType.toLowerCase());
+
+    // Prefer JSON; use another built-in format when that is all there is
+    for (const extension of DATA_FILE_EXTENSIONS) {
+      if (fs.existsSync(basePath + extension)) {
+        return basePath + extension;
+      }
+    }
+
+    return basePath + ".json";
+  }
+
+  /**
+   * Find the environment overlay of a data file
+   * (e.g. data/users.json -> data/users.staging.yaml)
+   * @private
+   */
+  _getOverlayFileName(dataFile, environment) {
+    if (!environment) {
+      return null;
+    }
+
+    const extension = path.extname(dataFile);
+    const basePath = `${dataFile.slice(
+      0,
+      dataFile.length - extension.length
+    )}.${environment}`;
+
+    // Prefer the base file's format
+    const extensions = [
+      extension,
+      ...DATA_FILE_EXTENSIONS.filter((candidate) => candidate !== extension),
+    ];
+    for (const candidate of extensions) {
+      if (fs.existsSync(basePath + candidate)) {
+        return basePath + candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Rejects file of a data file (data/users.json -> data/users.rejects.json)
+   * @private
+   */
+  _getRejectsFileName(dataFile) {
+    const extension = path.extname(dataFile);
+    return `${dataFile.slice(0, dataFile.length - extension.length)}.rejects.json`;
   }
 
   /**
@@ -270,6 +725,7 @@ class SeederConfig {
    */
   clearCache() {
     this.cache.clear();
+    this.schemaCache.clear();
   }
 }
 
@@ -2,15 +2,30 @@
 
 const fs = require("fs");
 const path = require("path");
+const FieldMapper = require("./field-mapper");
+const Logger = require("./logger");
+
+const INSERT_MODES = ["insert", "skipExisting", "upsert"];
+// Errors caused by the inserted rows themselves (onRowError: "isolate")
+const ROW_ERRORS = [
+  "SequelizeValidationError",
+  "SequelizeUniqueConstraintError",
+  "SequelizeForeignKeyConstraintError",
+  "SequelizeExclusionConstraintError",
+];
 
 /**
  * SeederFactory - A utility class for handling large-scale database seeding operations
  *
  * This factory provides methods to:
- * - Load data from JSON files
+ * - Load data from JSON, JSON5, YAML, CSV/TSV or custom-format files
+ * - Generate records from templates with a reproducible seed
  * - Process data with custom transformations
+ * - Resolve symbolic references ({ "$ref": ... }) to foreign keys
  * - Insert data in batches for better performance
  * - Add automatic timestamps
+ * - Run all batches in one transaction (all-or-nothing)
+ * - Record inserted rows in a ledger table for exact rollbacks
  *
  * @class SeederFactory
  */
@@ -19,17 +34,63 @@ class SeederFactory {
    * Constructor - Initialize SeederFactory with required dependencies
    * @param {Object} queryInterface - Sequelize query interface
    * @param {Object} Sequelize - Sequelize instance
+   * @param {Object} options - Factory options (optional)
+   * @param {Object} options.sequelize - Live Sequelize instance with models loaded
+   *   (defaults to the one behind queryInterface)
+   * @param {Object} options.models - Models registry (e.g. `require("../models")`)
+   * @param {string} options.modelsPath - Directory scanned for model files
+   * @param {string} options.dataPath - Directory holding data files
+   * @param {boolean|string} options.ledger - Record inserted rows in a ledger
+   *   table (true for "SeederFactoryLedger", or a table name)
+   * @param {string} options.runId - Seeder run ID stored in the ledger
+   * @param {string} options.environment - Environment whose overlay files
+   *   (data/<entity>.<environment>.json) are merged in (default: NODE_ENV)
+   * @param {Logger|string|Object} options.logger - Logger, log level
+   *   ("silent", "error", "info", "debug"), Logger options ({ level, format })
+   *   or a custom logger with error/warn/info/debug methods
+   * @param {Object} options.hooks - Lifecycle hook handlers by name (see
+   *   hook())
    */
-  constructor(queryInterface, Sequelize) {
+  constructor(queryInterface, Sequelize, options = {}) {
     this.queryInterface = queryInterface;
     this.Sequelize = Sequelize;
+    this.logger = Logger.from(options.logger);
 
     // Initialize dependencies
     const SeederConfig = require("./seeder-config");
     const DataProcessor = require("./data-processor");
+    const ReferenceResolver = require("./reference-resolver");
+    const SeedLedger = require("./seed-ledger");
+    const SeederHooks = require("./seeder-hooks");
 
-    this.seederConfig = new SeederConfig();
+    this.seederConfig = new SeederConfig({
+      sequelize:
+        options.sequelize || (queryInterface && queryInterface.sequelize),
+      models: options.models,
+      queryInterface,
+      modelsPath: options.modelsPath,
+      dataPath: options.dataPath,
+      environment: options.environment,
+      logger: this.logger,
+    });
     this.dataProcessor = new DataProcessor();
+    this.referenceResolver = new ReferenceResolver(
+      queryInterface,
+      this.seederConfig
+    );
+    this.definitions = new Map();
+    this.hooks = new SeederHooks(options.hooks);
+    // Data file index of loaded records and the records processed from them,
+    // reported for rejected rows
+    this.sourceIndexes = new WeakMap();
+    this.ledger = options.ledger
+      ? new SeedLedger(queryInterface, Sequelize, {
+          tableName:
+            typeof options.ledger === "string" ? options.ledger : undefined,
+          runId: options.runId,
+          logger: this.logger,
+        })
+      : null;
   }
 
   /**
@@ -57,107 +118,505 @@ class SeederFactory {
         throw new Error(`Data file ${filename}.json must contain an array`);
       }
 
-      console.log(
+      SeederFactory.logger.info(
         `✓ Loaded ${parsedData.length} records from ${filename}.json`
       );
       return parsedData;
     } catch (error) {
-      console.error(`✗ Error loading data from ${filename}:`, error.message);
+      SeederFactory.logger.error(
+        `✗ Error loading data from ${filename}: ${error.message}`
+      );
       throw error;
     }
   }
 
   /**
-   * Load data from JSON file
+   * Registers a data file loader for a file extension
+   *
+   * @param {string} extension - File extension (e.g. ".toml")
+   * @param {Function} loader - (content, { fileName, config, columnTypes }) => data;
+   *   may return a promise
+   * @returns {void}
+   *
+   * @example
+   * SeederFactory.registerLoader(".toml", (content) => toml.parse(content).records);
+   */
+  static registerLoader(extension, loader) {
+    const DataLoaders = require("./data-loaders");
+    DataLoaders.register(extension, loader);
+  }
+
+  /**
+   * Load data from a data file, parsed by the loader for its extension
+   * (JSON for unknown extensions)
    * @param {string} dataFile - Path to data file
-   * @returns {Promise<Object|Array>} Parsed JSON data
+   * @param {Object} config - Entity configuration (types CSV/TSV cells)
+   * @param {Object} options - Load options
+   * @param {boolean} options.requireSeed - Refuse generated records without
+   *   a seed, which would differ from the ones inserted earlier
+   * @returns {Promise<Object|Array>} Parsed data
    * @private
    */
-  async _loadDataFile(dataFile) {
+  async _loadDataFile(dataFile, config = {}, options = {}) {
     const fs = require("fs").promises;
     const path = require("path");
+    const DataLoaders = require("./data-loaders");
+    const RecordGenerator = require("./record-generator");
 
     try {
       const fullPath = path.resolve(dataFile);
       const fileContent = await fs.readFile(fullPath, "utf8");
-      return JSON.parse(fileContent);
+      const loader =
+        DataLoaders.get(path.extname(fullPath)) || DataLoaders.get(".json");
+
+      const data = await loader(fileContent, {
+        fileName: dataFile,
+        config,
+        columnTypes: this._columnTypesFor(config),
+      });
+
+      // Expand { count, template } files into generated records
+      if (RecordGenerator.isGenerator(data)) {
+        if (options.requireSeed && config.seed == null && data.seed == null) {
+          throw new Error(
+            `Generated records in ${dataFile} have no seed, so the inserted records cannot be generated again. Add a "seed" to the data file (or the seed option)`
+          );
+        }
+        return RecordGenerator.generate(data, {
+          seed: config.seed,
+          fileName: dataFile,
+          logger: this.logger,
+        });
+      }
+      return data;
     } catch (error) {
       if (error.code === "ENOENT") {
-        throw new Error(`Data file not found: ${dataFile}`);
+        const notFound = new Error(`Data file not found: ${dataFile}`);
+        notFound.code = "ENOENT";
+        throw notFound;
       } else if (error instanceof SyntaxError) {
-        throw new Error(`Invalid JSON in data file: ${dataFile}`);
+        // Custom loaders that throw plain parser errors
+        throw new Error(`Invalid data file: ${dataFile}: ${error.message}`);
       }
       throw error;
     }
   }
 
+  /**
+   * Load an entity's records: its data file merged with the environment
+   * overlay file, if there is one
+   * @param {Object} config - Entity configuration
+   * @param {Object} options - Load options
+   * @param {boolean} options.silent - Do not log the overlay counts
+   * @returns {Promise<*>} Records (or whatever the data file holds)
+   * @private
+   */
+  async _loadEntityData(config, options = {}) {
+    const data = await this._loadDataFile(config.dataFile, config);
+    if (Array.isArray(data)) {
+      data.forEach((record, index) => this._trackSource(record, index));
+    }
+    return this._mergeOverlay(config, data, options);
+  }
+
+  /**
+   * Merge the environment overlay file, if there is one, into loaded records
+   * @param {Object} config - Entity configuration
+   * @param {*} data - Records loaded from the data file
+   * @param {Object} options - { silent } as for _loadEntityData
+   * @returns {Promise<*>} Merged records (data as is without an overlay)
+   * @throws {Error} If the overlay cannot be loaded or merged
+   * @private
+   */
+  async _mergeOverlay(config, data, options = {}) {
+    if (!config.overlayFile || !Array.isArray(data)) {
+      return data;
+    }
+
+    const DataOverlay = require("./data-overlay");
+    const overlay = new DataOverlay(
+      await this._loadDataFile(config.overlayFile, config),
+      {
+        uniqueFields: config.uniqueFields,
+        fileName: config.overlayFile,
+        logger: this.logger,
+      }
+    );
+    // Merged record by record, so overridden records keep their file index
+    const records = [];
+    data.forEach((record) => {
+      const merged = overlay.apply(record);
+      if (merged !== null) {
+        records.push(this._trackSource(merged, record));
+      }
+    });
+    records.push(...overlay.remaining());
+    if (!options.silent) {
+      this._logOverlay(config, overlay.counts);
+    }
+    return records;
+  }
+
+  /**
+   * Remember the data file index of a record: a number, or the record it was
+   * derived from (overlay merge, processing, hooks)
+   * @param {Object} record - Loaded or derived record
+   * @param {number|Object} source - Data file index, or source record
+   * @returns {Object} The record
+   * @private
+   */
+  _trackSource(record, source) {
+    const index =
+      typeof source === "number" ? source : this.sourceIndexes.get(source);
+    if (index !== undefined && record && typeof record === "object") {
+      this.sourceIndexes.set(record, index);
+    }
+    return record;
+  }
+
+  /**
+   * Warn about data keys the validFields filter removed
+   * @private
+   */
+  _logDroppedFields(entityType, droppedFields) {
+    if (droppedFields.size === 0) {
+      return;
+    }
+    this.logger.warn(
+      `   ⚠️  Dropped fields not in ${entityType} validFields: ${[
+        ...droppedFields,
+      ].join(", ")} (map them to columns with fieldMap)`,
+      "fields.dropped",
+      { entity: entityType, fields: [...droppedFields] }
+    );
+  }
+
+  /**
+   * Log what an environment overlay changed
+   * @private
+   */
+  _logOverlay(config, counts) {
+    this.logger.info(
+      `   🌱 Overlay (${config.environment}): ${config.overlayFile} - ${counts.added} added, ${counts.overridden} overridden, ${counts.removed} removed`,
+      "overlay.merged",
+      {
+        entity: config.entityType,
+        environment: config.environment,
+        file: config.overlayFile,
+        counts,
+      }
+    );
+  }
+
+  /**
+   * Column types for CSV/TSV cells: model attribute types, overridden by
+   * the `columnTypes` map of the configuration
+   * @param {Object} config - Entity configuration
+   * @returns {Object} Column name -> column type
+   * @private
+   */
+  _columnTypesFor(config) {
+    const CsvParser = require("./csv-parser");
+    const columnTypes = {};
+
+    Object.entries(config.attributes || {}).forEach(([name, attribute]) => {
+      const columnType = CsvParser.columnTypeFor(attribute.type);
+      if (columnType) {
+        columnTypes[name] = columnType;
+      }
+    });
+
+    return { ...columnTypes, ...(config.columnTypes || {}) };
+  }
+
   /**
    * Process data for any entity - ULTRA SIMPLE!
    * @param {string} entityType - Entity type (e.g., "Users")
    * @param {Object} options - Processing options
    * @param {Object} options.customConfig - Optional custom configuration
    * @param {boolean} options.filterValidFields - Filter only valid fields (default: true)
+   * @param {Object} options.transaction - Transaction used for reference lookups
+   * @param {boolean|Object} options.validate - Validate processed records
+   *   against the model (true) or a SeederValidator schema (default:
+   *   config.validate)
+   * @param {string} options.onInvalid - "abort" (default) to fail on the
+   *   first invalid record, "skip" to leave invalid records out, or "collect"
+   *   to fail with every validation error (default: config.onInvalid)
    * @returns {Promise<Array>} Processed data ready for insertion
    */
   async processData(entityType, options = {}) {
-    const { customConfig = {}, filterValidFields = true } = options;
+    const {
+      customConfig = {},
+      filterValidFields = true,
+      transaction,
+    } = options;
+    const startTime = Date.now();
+    let config = null;
 
     try {
       // Get configuration (auto-discovery + custom overrides)
-      const config = this.seederConfig.getEntityConfig(
+      config = await this.seederConfig.loadEntityConfig(
         entityType,
         customConfig
       );
 
-      console.log(`📋 Processing ${entityType}:`);
-      console.log(`   📁 Data file: ${config.dataFile}`);
-      console.log(`   🗃️  Table: ${config.tableName}`);
-      console.log(`   📦 Batch size: ${config.batchSize}`);
+      this.logger.info(`📋 Processing ${entityType}:`, "process.started", {
+        entity: entityType,
+        table: config.tableName,
+        dataFile: config.dataFile,
+        batchSize: config.batchSize,
+      });
+      this.logger.info(`   📁 Data file: ${config.dataFile}`);
+      this.logger.info(`   🗃️  Table: ${config.tableName}`);
+      this.logger.info(`   📦 Batch size: ${config.batchSize}`);
 
-      // Load and parse data
-      const data = await this._loadDataFile(config.dataFile);
+      // Load and parse data, then let beforeProcess hooks replace it
+      const data = await this.hooks.apply(
+        "beforeProcess",
+        {
+          entityType,
+          config,
+          records: await this._loadEntityData(config),
+          transaction,
+        },
+        "records"
+      );
+      if (data === false) {
+        this.logger.info(
+          `   ⏭️  Processing cancelled by a beforeProcess hook`,
+          "process.cancelled",
+          { entity: entityType }
+        );
+        return [];
+      }
 
       if (!Array.isArray(data)) {
         throw new Error(`Data must be an array. Got: ${typeof data}`);
       }
 
-      console.log(`   📊 Records to process: ${data.length}`);
+      this.logger.info(`   📊 Records to process: ${data.length}`);
 
       // Process each item generically
       const processedData = [];
-      for (const item of data) {
-        const processed = await this.dataProcessor.processGeneric(item, config);
-
-        // Filter only valid fields if requested
-        if (filterValidFields && config.validFields) {
-          const filtered = {};
-          for (const field of config.validFields) {
-            if (Object.prototype.hasOwnProperty.call(processed, field)) {
-              filtered[field] = processed[field];
-            }
-          }
-          processedData.push(filtered);
-        } else {
-          processedData.push(processed);
+      const droppedFields = new Set();
+      for (let index = 0; index < data.length; index++) {
+        const record = await this._processRecord(
+          data[index],
+          index,
+          entityType,
+          config,
+          { filterValidFields, transaction, droppedFields }
+        );
+        // afterProcessRecord hooks drop records by returning false
+        if (record !== false) {
+          processedData.push(record);
         }
       }
 
-      console.log(
-        `   ✅ Successfully processed ${processedData.length} records`
+      this.logger.info(
+        `   ✅ Successfully processed ${processedData.length} records`,
+        "process.completed",
+        {
+          entity: entityType,
+          table: config.tableName,
+          records: processedData.length,
+          durationMs: Date.now() - startTime,
+        }
       );
-      console.log(
+      this._logDroppedFields(entityType, droppedFields);
+      this.logger.info(
         `   🏷️  Using fields: ${
           config.validFields ? config.validFields.join(", ") : "all"
         }`
       );
 
+      const validate =
+        options.validate !== undefined ? options.validate : config.validate;
+      if (validate) {
+        return this._validateRecords(entityType, config, processedData, {
+          schema: validate === true ? null : validate,
+          onInvalid: options.onInvalid || config.onInvalid || "abort",
+        });
+      }
+
       return processedData;
     } catch (error) {
-      console.error(`❌ Error processing ${entityType}:`, error.message);
+      this.logger.error(
+        `❌ Error processing ${entityType}: ${error.message}`,
+        "process.failed",
+        { entity: entityType, error: error.message }
+      );
+      await this._emitError("process", entityType, config, error, transaction);
       throw error;
     }
   }
 
+  /**
+   * Validate processed records against a schema (derived from the model
+   * attributes by default) and check uniqueFields for duplicates within the
+   * file
+   * @param {string} entityType - Entity type
+   * @param {Object} config - Entity configuration
+   * @param {Array<Object>} records - Processed records
+   * @param {Object} options - { schema, onInvalid }
+   * @returns {Array<Object>} Records to insert (valid ones only for "skip")
+   * @throws {Error} With an `errors` array ({ index, message }) when records
+   *   are invalid and onInvalid is "abort" or "collect"
+   * @private
+   */
+  _validateRecords(entityType, config, records, options) {
+    const SeederValidator = require("./seeder-validator");
+    const { onInvalid } = options;
+    if (!["abort", "skip", "collect"].includes(onInvalid)) {
+      throw new Error(
+        `Invalid onInvalid policy '${onInvalid}'. Use "abort", "skip" or "collect"`
+      );
+    }
+
+    const schema =
+      options.schema || SeederValidator.schemaFromAttributes(config.attributes);
+    if (Object.keys(schema).length === 0) {
+      this.logger.warn(
+        `   ⚠️  No validation schema for ${entityType}: pass one with validate`
+      );
+      return records;
+    }
+
+    const errors = [];
+    const invalid = new Set();
+    for (let index = 0; index < records.length; index++) {
+      const result = SeederValidator.validateRecord(
+        records[index],
+        schema,
+        index,
+        entityType
+      );
+      result.errors.forEach((message) => errors.push({ index, message }));
+      if (result.errors.length > 0) {
+        invalid.add(index);
+        if (onInvalid === "abort") {
+          break;
+        }
+      }
+    }
+
+    if (onInvalid !== "abort" || errors.length === 0) {
+      SeederValidator.findDuplicates(
+        records,
+        config.uniqueFields || []
+      ).forEach(({ index, firstIndex, field, value }) => {
+        errors.push({
+          index,
+          message: `${entityType}: Duplicate value '${value}' for field '${field}' found at indices ${firstIndex} and ${index}`,
+        });
+        invalid.add(index);
+      });
+    }
+
+    if (errors.length === 0) {
+      this.logger.info(
+        `   ✅ Validated ${records.length} records`,
+        "validation.passed",
+        { entity: entityType, records: records.length }
+      );
+      return records;
+    }
+
+    if (onInvalid === "skip") {
+      this.logger.warn(
+        `   ⚠️  Skipping ${invalid.size} invalid ${entityType} records:`,
+        "validation.skipped",
+        { entity: entityType, invalid: invalid.size, errors }
+      );
+      errors.forEach(({ message }) => this.logger.warn(`      - ${message}`));
+      return records.filter((record, index) => !invalid.has(index));
+    }
+
+    const error = new Error(
+      `Validation failed for ${entityType} (${invalid.size} invalid records):\n${errors
+        .map(({ message }) => `  - ${message}`)
+        .join("\n")}`
+    );
+    error.errors = errors;
+    throw error;
+  }
+
+  /**
+   * Process one raw record: resolve references, clean it and keep only
+   * valid fields
+   * @param {Object} item - Raw data record
+   * @param {number} index - Record index (for error reporting)
+   * @param {string} entityType - Entity type
+   * @param {Object} config - Entity configuration
+   * @param {Object} options - { filterValidFields, transaction, droppedFields }
+   *   where droppedFields is a Set collecting keys removed by the filter
+   * @returns {Promise<Object|false>} Processed record, or false when an
+   *   afterProcessRecord hook dropped it
+   * @private
+   */
+  async _processRecord(item, index, entityType, config, options) {
+    // Resolve { "$ref": ... } values before cleaning the record
+    const resolved = await this.referenceResolver.resolveRecord(
+      item,
+      index,
+      entityType,
+      { transaction: options.transaction }
+    );
+    const processed = await this.dataProcessor.processGeneric(
+      resolved,
+      config,
+      index
+    );
+    const record = this._filterValidFields(processed, config, options);
+
+    const result = await this.hooks.apply(
+      "afterProcessRecord",
+      {
+        entityType,
+        config,
+        record,
+        index,
+        transaction: options.transaction,
+      },
+      "record"
+    );
+    return result === false ? false : this._trackSource(result, item);
+  }
+
+  /**
+   * Keep only valid fields of a processed record
+   * @param {Object} processed - Processed record
+   * @param {Object} config - Entity configuration
+   * @param {Object} options - { filterValidFields, droppedFields }
+   * @returns {Object} Filtered record
+   * @private
+   */
+  _filterValidFields(processed, config, options) {
+    // Filter only valid fields if requested (none known: let the database
+    // validate)
+    if (
+      !options.filterValidFields ||
+      !config.validFields ||
+      config.validFields.length === 0
+    ) {
+      return processed;
+    }
+
+    const allowed = new Set([
+      ...config.validFields,
+      ...FieldMapper.mappedNames(config),
+    ]);
+    const filtered = {};
+    Object.keys(processed).forEach((field) => {
+      if (allowed.has(field)) {
+        filtered[field] = processed[field];
+      } else if (options.droppedFields) {
+        options.droppedFields.add(field);
+      }
+    });
+    return filtered;
+  }
+
   /**
    * Inserts data in batches for optimal performance with large datasets
    *
@@ -166,7 +625,13 @@ class SeederFactory {
    * @param {Array} data - Data array to insert
    * @param {number} batchSize - Size of each batch (default: 1000)
    * @param {Object} options - Additional Sequelize bulk insert options
-   * @returns {Promise<void>}
+   * @param {Object|boolean} options.transaction - Existing transaction, or true
+   *   to run every batch in a new transaction that rolls back on failure
+   * @param {boolean|Object} options.dryRun - Print the INSERT statements
+   *   instead of running them (true), or append them to a file ({ file })
+   * @param {Logger|string|Object} options.logger - Logger (default:
+   *   SeederFactory.logger)
+   * @returns {Promise<void|Object>} On a dry run: { inserted, statements }
    *
    * @example
    * await SeederFactory.bulkInsertInBatches(queryInterface, 'Users', userData, 500);
@@ -178,8 +643,17 @@ class SeederFactory {
     batchSize = 1000,
     options = {}
   ) {
+    const {
+      dryRun: dryRunOption,
+      logger: loggerOption,
+      ...insertOptions
+    } = options;
+    const logger = loggerOption
+      ? Logger.from(loggerOption)
+      : SeederFactory.logger;
+
     if (!Array.isArray(data) || data.length === 0) {
-      console.log(`⚠ No data to insert for ${tableName}`);
+      logger.info(`⚠ No data to insert for ${tableName}`);
       return;
     }
 
@@ -192,77 +666,255 @@ class SeederFactory {
       batches.push(data.slice(i, i + batchSize));
     }
 
-    console.log(
-      `📦 Inserting ${data.length} records in ${batches.length} batches for ${tableName}`
+    const DryRun = require("./dry-run");
+    const dryRun = dryRunOption
+      ? new DryRun(queryInterface, dryRunOption, logger)
+      : null;
+
+    logger.info(
+      `${dryRun ? "🧪 Dry run: " : ""}📦 Inserting ${data.length} records in ${
+        batches.length
+      } batches for ${tableName}`
     );
-    console.log(`   Batch size: ${batchSize} records per batch`);
+    logger.info(`   Batch size: ${batchSize} records per batch`);
 
     const startTime = Date.now();
 
     try {
-      for (let i = 0; i < batches.length; i++) {
-        const batchStartTime = Date.now();
+      await SeederFactory.runInTransaction(
+        queryInterface,
+        dryRun ? null : options.transaction,
+        async (transaction) => {
+          for (let i = 0; i < batches.length; i++) {
+            const batchStartTime = Date.now();
 
-        console.log(
-          `   Processing batch ${i + 1}/${batches.length} (${
-            batches[i].length
-          } records)...`
-        );
+            logger.info(
+              `   Processing batch ${i + 1}/${batches.length} (${
+                batches[i].length
+              } records)...`
+            );
 
-        await queryInterface.bulkInsert(tableName, batches[i], {
-          ignoreDuplicates: false,
-          ...options,
-        });
+            if (dryRun) {
+              dryRun.insert(tableName, batches[i], insertOptions);
+            } else {
+              await queryInterface.bulkInsert(tableName, batches[i], {
+                ignoreDuplicates: false,
+                ...insertOptions,
+                transaction,
+              });
+            }
 
-        const batchTime = Date.now() - batchStartTime;
-        console.log(`   ✓ Batch ${i + 1} completed in ${batchTime}ms`);
-      }
+            const batchTime = Date.now() - batchStartTime;
+            logger.info(
+              `   ✓ Batch ${i + 1} completed in ${batchTime}ms`,
+              "batch.inserted",
+              {
+                table: tableName,
+                batch: i + 1,
+                counts: { inserted: batches[i].length },
+                durationMs: batchTime,
+                dryRun: Boolean(dryRun),
+              }
+            );
+          }
+        },
+        logger
+      );
 
       const totalTime = Date.now() - startTime;
-      console.log(
-        `✓ Successfully inserted ${data.length} records into ${tableName} in ${totalTime}ms`
+      if (dryRun) {
+        logger.info(
+          `🧪 Dry run: would insert ${data.length} records into ${tableName}`
+        );
+        return { inserted: data.length, statements: dryRun.statements };
+      }
+      logger.info(
+        `✓ Successfully inserted ${data.length} records into ${tableName} in ${totalTime}ms`,
+        "insert.completed",
+        {
+          table: tableName,
+          counts: { inserted: data.length },
+          durationMs: totalTime,
+        }
       );
     } catch (error) {
-      console.error(`✗ Bulk insert failed for ${tableName}:`);
-      console.error(`   Error message: ${error.message}`);
-      console.error(`   Error name: ${error.name}`);
+      logger.error(`✗ Bulk insert failed for ${tableName}:`, "insert.failed", {
+        table: tableName,
+        error: error.message,
+      });
+      logger.error(`   Error message: ${error.message}`);
+      logger.error(`   Error name: ${error.name}`);
       if (error.sql) {
-        console.error(`   SQL: ${error.sql}`);
+        logger.error(`   SQL: ${error.sql}`);
       }
       if (error.parent) {
-        console.error(`   Parent error: ${error.parent.message}`);
+        logger.error(`   Parent error: ${error.parent.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Runs work inside a transaction
+   *
+   * - `transaction` falsy: runs without a transaction
+   * - an existing Sequelize transaction: runs inside it; the caller commits
+   * - `true`: opens a new transaction, commits on success, rolls back on failure
+   *
+   * @param {Object} queryInterface - Sequelize query interface
+   * @param {Object|boolean} transaction - Transaction option
+   * @param {Function} work - Async function receiving the transaction (or undefined)
+   * @param {Logger} logger - Logger for the rollback message (default:
+   *   SeederFactory.logger)
+   * @returns {Promise<*>} Result of work
+   * @throws {Error} If a transaction is requested but cannot be opened
+   *
+   * @example
+   * await SeederFactory.runInTransaction(queryInterface, true, async (t) => {
+   *   await queryInterface.bulkInsert('Roles', roles, { transaction: t });
+   *   await queryInterface.bulkInsert('People', users, { transaction: t });
+   * });
+   */
+  static async runInTransaction(
+    queryInterface,
+    transaction,
+    work,
+    logger = SeederFactory.logger
+  ) {
+    if (!transaction) {
+      return work(undefined);
+    }
+
+    if (transaction !== true) {
+      if (typeof transaction.commit !== "function") {
+        throw new Error(
+          "Transaction option must be a Sequelize transaction or true"
+        );
       }
+      return work(transaction);
+    }
+
+    const sequelize = queryInterface && queryInterface.sequelize;
+    if (!sequelize || typeof sequelize.transaction !== "function") {
+      throw new Error(
+        "Cannot open a transaction: queryInterface has no Sequelize instance. Pass an existing transaction instead."
+      );
+    }
+
+    const supports = sequelize.dialect && sequelize.dialect.supports;
+    if (supports && supports.transactions === false) {
+      throw new Error(
+        `Cannot open a transaction: the ${sequelize.getDialect()} dialect does not support transactions`
+      );
+    }
+
+    const ownTransaction = await sequelize.transaction();
+    try {
+      const result = await work(ownTransaction);
+      await ownTransaction.commit();
+      return result;
+    } catch (error) {
+      await ownTransaction.rollback();
+      logger.error(
+        `↩️  Transaction rolled back: ${error.message}`,
+        "transaction.rolledBack",
+        { error: error.message }
+      );
       throw error;
     }
   }
 
   /**
-   * Adds createdAt and updatedAt timestamps to data records
+   * Adds createdAt and updatedAt timestamps to data records. Timestamp values
+   * already present in a record are kept.
    *
    * @param {Array} data - Data array without timestamps
    * @param {Date|null} timestamp - Custom timestamp (defaults to current time)
+   * @param {Object} config - Entity configuration whose `timestamps` columns
+   *   are used (optional; defaults to createdAt and updatedAt)
    * @returns {Array} Data array with timestamps added
    *
    * @example
    * const dataWithTimestamps = SeederFactory.addTimestamps(processedData);
    */
-  static addTimestamps(data, timestamp = null) {
+  static addTimestamps(data, timestamp = null, config = {}) {
     if (!Array.isArray(data)) {
       throw new Error("Data must be an array");
     }
 
     const now = timestamp || new Date();
 
-    const dataWithTimestamps = data.map((item) => ({
-      ...item,
-      createdAt: now,
-      updatedAt: now,
-    }));
+    const dataWithTimestamps = data.map((item) =>
+      SeederFactory._withTimestamps(item, config, now)
+    );
 
-    console.log(`✓ Added timestamps to ${dataWithTimestamps.length} records`);
+    SeederFactory.logger.info(
+      `✓ Added timestamps to ${dataWithTimestamps.length} records`
+    );
     return dataWithTimestamps;
   }
 
+  /**
+   * Timestamp columns managed for an entity
+   *
+   * @param {Object} config - Entity configuration
+   * @returns {Object} { createdAt, updatedAt, deletedAt } column names, null
+   *   for columns that are not managed
+   *
+   * @example
+   * SeederFactory.timestampFieldsFor({ timestamps: false });
+   * // { createdAt: null, updatedAt: null, deletedAt: null }
+   */
+  static timestampFieldsFor(config = {}) {
+    if (config.timestamps === false) {
+      return { createdAt: null, updatedAt: null, deletedAt: null };
+    }
+
+    const timestamps = config.timestamps || {};
+    const column = (key, fallback) =>
+      timestamps[key] === undefined ? fallback : timestamps[key] || null;
+    return {
+      createdAt: column("createdAt", "createdAt"),
+      updatedAt: column("updatedAt", "updatedAt"),
+      deletedAt: column("deletedAt", null),
+    };
+  }
+
+  /**
+   * Copy of a record with its timestamp columns filled in. Values given under
+   * the attribute name (e.g. createdAt for a created_at column) are moved to
+   * the column; deletedAt is never filled in.
+   * @private
+   */
+  static _withTimestamps(item, config, now) {
+    const columns = SeederFactory.timestampFieldsFor(config);
+    const attributes = config.attributes || {};
+    const row = { ...item };
+
+    Object.entries(columns).forEach(([key, column]) => {
+      if (!column) {
+        return;
+      }
+
+      const attributeName = Object.keys(attributes).find(
+        (name) => name !== column && attributes[name].field === column
+      );
+      const alias = attributeName || (key !== column ? key : null);
+      if (alias && row[alias] != null && row[column] == null) {
+        row[column] = row[alias];
+      }
+      if (alias) {
+        delete row[alias];
+      }
+
+      if (key !== "deletedAt" && row[column] == null) {
+        row[column] = now;
+      }
+    });
+
+    return row;
+  }
+
   /**
    * Validates that required fields exist in data
    *
@@ -299,9 +951,13 @@ class SeederFactory {
     const isValid = errors.length === 0;
 
     if (isValid) {
-      console.log(`✓ Validation passed for ${data.length} records`);
+      SeederFactory.logger.info(
+        `✓ Validation passed for ${data.length} records`
+      );
     } else {
-      console.error(`✗ Validation failed with ${errors.length} errors`);
+      SeederFactory.logger.error(
+        `✗ Validation failed with ${errors.length} errors`
+      );
     }
 
     return { isValid, errors };
@@ -311,6 +967,7 @@ class SeederFactory {
    * Creates a summary report of the seeding operation
    *
    * @param {Object} operations - Object containing operation results
+   * @param {Logger} logger - Logger to write to (default: SeederFactory.logger)
    * @returns {void}
    *
    * @example
@@ -319,9 +976,8 @@ class SeederFactory {
    *   'Roles': { inserted: 50, errors: 2 }
    * });
    */
-  static createSummaryReport(operations) {
-    console.log("\n📊 SEEDING SUMMARY REPORT");
-    console.log("========================");
+  static createSummaryReport(operations, logger = SeederFactory.logger) {
+    const lines = ["\n📊 SEEDING SUMMARY REPORT", "========================"];
 
     let totalInserted = 0;
     let totalErrors = 0;
@@ -330,7 +986,7 @@ class SeederFactory {
       const inserted = result.inserted || 0;
       const errors = result.errors || 0;
 
-      console.log(
+      lines.push(
         `${tableName.padEnd(30)} | Inserted: ${inserted
           .toString()
           .padStart(6)} | Errors: ${errors.toString().padStart(3)}`
@@ -340,13 +996,18 @@ class SeederFactory {
       totalErrors += errors;
     });
 
-    console.log("------------------------");
-    console.log(
+    lines.push("------------------------");
+    lines.push(
       `${"TOTAL".padEnd(30)} | Inserted: ${totalInserted
         .toString()
         .padStart(6)} | Errors: ${totalErrors.toString().padStart(3)}`
     );
-    console.log("========================\n");
+    lines.push("========================\n");
+
+    logger.info(lines.join("\n"), "seed.summary", {
+      operations,
+      totals: { inserted: totalInserted, errors: totalErrors },
+    });
   }
 
   /**
@@ -354,105 +1015,1342 @@ class SeederFactory {
    * @param {string} entityType - Entity type
    * @param {Array} processedData - Processed data ready for insertion
    * @param {Object} options - Insert options
-   * @returns {Promise<void>}
+   * @param {Object} options.customConfig - Optional custom configuration
+   * @param {Object|boolean} options.transaction - Existing transaction, or true
+   *   to insert every batch in one new transaction
+   * @param {string} options.mode - "insert" (default), "skipExisting" to leave
+   *   rows matched by uniqueFields alone, or "upsert" to update them with the
+   *   columns from the data file
+   * @param {boolean} options.returning - Also return the inserted rows, with
+   *   generated primary keys where the dialect supports RETURNING
+   * @param {boolean|Object} options.dryRun - Print the SQL instead of running
+   *   it (true), or append it to a file ({ file }). Nothing is written; the
+   *   skipExisting/upsert modes still read existing rows to match them.
+   * @param {string} options.onRowError - "abort" (default) to fail with the
+   *   batch, or "isolate" to split a failing batch until the failing records
+   *   are found, insert the others and write the failing ones to
+   *   config.rejectsFile (default: config.onRowError)
+   * @returns {Promise<Object>} Counts: { inserted, updated, skipped }, plus
+   *   `rows` when `returning` is set, `statements` on a dry run,
+   *   `rejected` (and `rejectsFile`) when isolating row errors and
+   *   `cancelled` when a beforeBatch hook cancelled batches
    */
   async insertData(entityType, processedData, options = {}) {
-    const { customConfig = {} } = options;
-    const config = this.seederConfig.getEntityConfig(entityType, customConfig);
+    const DryRun = require("./dry-run");
+    const { customConfig = {}, mode = "insert" } = options;
+    const startTime = Date.now();
+    const config = await this.seederConfig.loadEntityConfig(
+      entityType,
+      customConfig
+    );
 
     try {
-      console.log(
-        `💾 Inserting ${processedData.length} ${entityType} records...`
-      );
+      this._assertInsertMode(mode, config);
+      const dryRun = options.dryRun
+        ? new DryRun(this.queryInterface, options.dryRun, this.logger)
+        : null;
+      const rejects = this._rowErrorRejects(options, config, dryRun);
 
-      // Add timestamps to all records
-      const dataWithTimestamps = processedData.map((item) => ({
-        ...item,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      }));
+      this.logger.info(
+        `${dryRun ? "🧪 Dry run: " : ""}💾 Inserting ${
+          processedData.length
+        } ${entityType} records...`
+      );
 
       // Insert in batches for better performance
       const batchSize = config.batchSize || 1000;
-      let insertedCount = 0;
-
-      for (let i = 0; i < dataWithTimestamps.length; i += batchSize) {
-        const batch = dataWithTimestamps.slice(i, i + batchSize);
-        await this.queryInterface.bulkInsert(config.tableName, batch);
-        insertedCount += batch.length;
-        console.log(
-          `   📦 Inserted batch: ${insertedCount}/${dataWithTimestamps.length}`
-        );
+      const counts = { inserted: 0, updated: 0, skipped: 0 };
+      if (options.returning) {
+        counts.rows = [];
       }
+      let processedCount = 0;
+
+      // A dry run opens no transaction
+      await SeederFactory.runInTransaction(
+        this.queryInterface,
+        dryRun ? null : options.transaction,
+        async (transaction) => {
+          for (let i = 0; i < processedData.length; i += batchSize) {
+            const batch = processedData.slice(i, i + batchSize);
+            const inserted = await this._insertHookedBatch(
+              config,
+              batch,
+              i,
+              {
+                mode,
+                transaction,
+                counts,
+                returning: options.returning,
+                dryRun,
+              },
+              rejects
+            );
+
+            processedCount += batch.length;
+            if (inserted) {
+              this._logBatch(
+                config,
+                `   📦 Inserted batch: ${processedCount}/${processedData.length}`,
+                inserted,
+                dryRun
+              );
+            }
+          }
 
-      console.log(
-        `✅ Successfully inserted ${insertedCount} ${entityType} records`
+          if (rejects) {
+            this._reportRejects(config, rejects, counts);
+          }
+          // Inside the transaction, so handlers can write in it too
+          await this.hooks.emit("afterInsert", {
+            entityType,
+            config,
+            counts,
+            durationMs: Date.now() - startTime,
+            transaction,
+            dryRun: Boolean(dryRun),
+          });
+        },
+        this.logger
       );
+
+      this._logInsertCounts(config, mode, counts, { dryRun, startTime });
+      return dryRun ? { ...counts, statements: dryRun.statements } : counts;
     } catch (error) {
-      console.error(`❌ Failed to insert ${entityType}:`, error.message);
+      this.logger.error(
+        `❌ Failed to insert ${entityType}: ${error.message}`,
+        "insert.failed",
+        { entity: entityType, table: config.tableName, error: error.message }
+      );
+      await this._emitError(
+        "insert",
+        entityType,
+        config,
+        error,
+        options.transaction
+      );
       throw error;
     }
   }
 
   /**
-   * Remove seeded data from database
+   * Stream a data file into the database batch by batch
+   *
+   * Reads, processes, filters and inserts one batch at a time, so memory use
+   * stays bounded by batchSize no matter how large the file is. Works for
+   * NDJSON (.ndjson/.jsonl) and top-level JSON arrays (.json).
+   *
    * @param {string} entityType - Entity type
-   * @param {Object} options - Remove options
-   * @returns {Promise<void>}
+   * @param {Object} options - Same options as processData and insertData
+   * @param {Object} options.customConfig - Optional custom configuration
+   * @param {boolean} options.filterValidFields - Filter only valid fields (default: true)
+   * @param {Object|boolean} options.transaction - Existing transaction, or true
+   * @param {string} options.mode - "insert", "skipExisting" or "upsert"
+   * @param {string} options.onRowError - "abort" (default) or "isolate"
+   * @returns {Promise<Object>} Counts: { processed, inserted, updated, skipped },
+   *   plus `rejected` (and `rejectsFile`) when isolating row errors
+   *
+   * @example
+   * await factory.streamData("Events", {
+   *   customConfig: { dataFile: "data/events.ndjson", batchSize: 5000 }
+   * });
    */
-  async removeData(entityType, options = {}) {
-    const { customConfig = {} } = options;
-    const config = this.seederConfig.getEntityConfig(entityType, customConfig);
+  async streamData(entityType, options = {}) {
+    const RecordStream = require("./record-stream");
+    const DataOverlay = require("./data-overlay");
+    const {
+      customConfig = {},
+      filterValidFields = true,
+      mode = "insert",
+    } = options;
+    const startTime = Date.now();
+    let config = null;
 
     try {
-      console.log(`🗑️  Removing ${entityType} records...`);
+      config = await this.seederConfig.loadEntityConfig(
+        entityType,
+        customConfig
+      );
+      this._assertInsertMode(mode, config);
+      const rejects = this._rowErrorRejects(options, config);
 
-      // If we have unique fields and data file, do targeted removal
-      if (config.uniqueFields && config.uniqueFields.length > 0) {
-        try {
-          const data = await this._loadDataFile(config.dataFile);
-
-          if (Array.isArray(data) && data.length > 0) {
-            // Build conditions for unique fields
-            const conditions = [];
-            for (const field of config.uniqueFields) {
-              const values = data
-                .map((item) => item[field])
-                .filter((val) => val != null);
-              if (values.length > 0) {
-                conditions.push({
-                  [field]: { [this.Sequelize.Op.in]: values },
-                });
-              }
+      this.logger.info(`🌊 Streaming ${entityType}:`, "stream.started", {
+        entity: entityType,
+        table: config.tableName,
+        dataFile: config.dataFile,
+        batchSize: config.batchSize,
+      });
+      this.logger.info(`   📁 Data file: ${config.dataFile}`);
+      this.logger.info(`   🗃️  Table: ${config.tableName}`);
+      this.logger.info(`   📦 Batch size: ${config.batchSize}`);
+
+      const batchSize = config.batchSize || 1000;
+      const counts = { inserted: 0, updated: 0, skipped: 0 };
+      const droppedFields = new Set();
+      let processedCount = 0;
+
+      // The (small) overlay is held in memory and applied record by record
+      const overlay = config.overlayFile
+        ? new DataOverlay(
+            await this._loadDataFile(config.overlayFile, config),
+            {
+              uniqueFields: config.uniqueFields,
+              fileName: config.overlayFile,
+              logger: this.logger,
             }
+          )
+        : null;
 
-            if (conditions.length > 0) {
-              await this.queryInterface.bulkDelete(config.tableName, {
-                [this.Sequelize.Op.or]: conditions,
-              });
-              console.log(
-                `✅ Removed ${entityType} records using unique fields`
+      await SeederFactory.runInTransaction(
+        this.queryInterface,
+        options.transaction,
+        async (transaction) => {
+          let batch = [];
+          let recordIndex = 0;
+          const flush = async () => {
+            const inserted = await this._insertHookedBatch(
+              config,
+              batch,
+              processedCount,
+              { mode, transaction, counts, rememberRows: false },
+              rejects
+            );
+            processedCount += batch.length;
+            if (inserted) {
+              this._logBatch(
+                config,
+                `   📦 Inserted batch: ${processedCount} records`,
+                inserted
               );
-              return;
             }
-          }
-        } catch (fileError) {
-          console.log(
-            `⚠️  Could not load data file for targeted removal: ${fileError.message}`
-          );
-        }
-      }
+            batch = [];
+          };
 
-      // Fallback: remove all records from table
-      await this.queryInterface.bulkDelete(config.tableName, null, {});
-      console.log(
-        `✅ Removed all ${entityType} records from ${config.tableName}`
-      );
-    } catch (error) {
-      console.error(`❌ Failed to remove ${entityType}:`, error.message);
-      throw error;
+          const add = async (item) => {
+            const record = await this._processRecord(
+              item,
+              recordIndex++,
+              entityType,
+              config,
+              { filterValidFields, transaction, droppedFields }
+            );
+            // afterProcessRecord hooks drop records by returning false
+            if (record !== false) {
+              batch.push(record);
+            }
+            if (batch.length >= batchSize) {
+              await flush();
+            }
+          };
+
+          let fileIndex = 0;
+          for await (const item of RecordStream.read(config.dataFile)) {
+            this._trackSource(item, fileIndex++);
+            const record = overlay ? overlay.apply(item) : item;
+            if (record !== null) {
+              await add(this._trackSource(record, item));
+            }
+          }
+          if (overlay) {
+            for (const record of overlay.remaining()) {
+              await add(record);
+            }
+            this._logOverlay(config, overlay.counts);
+          }
+          if (batch.length > 0) {
+            await flush();
+          }
+
+          if (rejects) {
+            this._reportRejects(config, rejects, counts);
+          }
+          await this.hooks.emit("afterInsert", {
+            entityType,
+            config,
+            counts,
+            durationMs: Date.now() - startTime,
+            transaction,
+            dryRun: false,
+          });
+        },
+        this.logger
+      );
+
+      this.logger.info(
+        `   ✅ Successfully processed ${processedCount} records`,
+        "process.completed",
+        {
+          entity: entityType,
+          table: config.tableName,
+          records: processedCount,
+          durationMs: Date.now() - startTime,
+        }
+      );
+      this._logDroppedFields(entityType, droppedFields);
+      this._logInsertCounts(config, mode, counts, { startTime });
+      return { processed: processedCount, ...counts };
+    } catch (error) {
+      this.logger.error(
+        `❌ Failed to stream ${entityType}: ${error.message}`,
+        "stream.failed",
+        {
+          entity: entityType,
+          table: config ? config.tableName : undefined,
+          error: error.message,
+        }
+      );
+      await this._emitError(
+        "stream",
+        entityType,
+        config,
+        error,
+        options.transaction
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Check that an insert mode is known and usable for the entity
+   * @param {string} mode - Insert mode
+   * @param {Object} config - Entity configuration
+   * @throws {Error} If the mode is unknown or needs missing uniqueFields
+   * @private
+   */
+  _assertInsertMode(mode, config) {
+    if (!INSERT_MODES.includes(mode)) {
+      throw new Error(
+        `Invalid insert mode '${mode}'. Use one of: ${INSERT_MODES.join(", ")}`
+      );
+    }
+    if (mode !== "insert" && !(config.uniqueFields || []).length) {
+      throw new Error(
+        `Insert mode '${mode}' needs uniqueFields to match existing rows`
+      );
+    }
+  }
+
+  /**
+   * Insert (or skip/upsert) one batch of processed records
+   * @param {Object} config - Entity configuration
+   * @param {Array} batch - Processed records
+   * @param {Object} options - Batch options
+   * @param {string} options.mode - Insert mode
+   * @param {Object} options.transaction - Transaction to run in (optional)
+   * @param {Object} options.counts - { inserted, updated, skipped, rows? },
+   *   updated in place; inserted rows are collected when `rows` is present
+   * @param {boolean} options.returning - Ask the database for inserted rows
+   * @param {DryRun} options.dryRun - Collect the SQL instead of running it
+   * @param {boolean} options.rememberRows - Keep inserted rows for `$ref`
+   *   lookups (default: true; streams look them up in the database instead,
+   *   so memory stays bounded by the batch size)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _insertBatch(config, batch, options) {
+    const { mode, transaction, counts, dryRun } = options;
+    const { createdAt } = SeederFactory.timestampFieldsFor(config);
+
+    // Add timestamps following the model options (or the fixed `timestamp`)
+    const now = config.timestamp ? new Date(config.timestamp) : new Date();
+    if (isNaN(now.getTime())) {
+      throw new Error(
+        `Invalid timestamp '${config.timestamp}' in ${config.entityType} configuration`
+      );
+    }
+    const generatedCreatedAt = new WeakSet();
+    const rows = batch.map((item) => {
+      const row = SeederFactory._withTimestamps(
+        FieldMapper.toColumns(item, config),
+        config,
+        now
+      );
+      if (createdAt && row[createdAt] === now) {
+        generatedCreatedAt.add(row);
+      }
+      return row;
+    });
+
+    const { toInsert, toUpdate } =
+      mode === "insert"
+        ? { toInsert: rows, toUpdate: [] }
+        : await this._partitionExisting(config, rows, transaction);
+
+    if (toInsert.length > 0 && dryRun) {
+      dryRun.insert(config.tableName, toInsert);
+      if (this.ledger) {
+        dryRun.comment(
+          `${toInsert.length} rows would be recorded in ${this.ledger.tableName}`
+        );
+      }
+      if (options.rememberRows !== false) {
+        this.referenceResolver.recordInserted(config.tableName, toInsert);
+      }
+      counts.inserted += toInsert.length;
+    } else if (toInsert.length > 0) {
+      const insertResult = await this.queryInterface.bulkInsert(
+        config.tableName,
+        toInsert,
+        {
+          transaction,
+          ...(this.ledger
+            ? this.ledger.insertOptionsFor(config, toInsert)
+            : {}),
+          ...(options.returning && this._supportsReturning()
+            ? { returning: true }
+            : {}),
+        }
+      );
+      if (this.ledger) {
+        await this.ledger.record(config, toInsert, insertResult, transaction);
+      }
+
+      // Merge RETURNING rows (generated keys) into the inserted records
+      let insertedRows =
+        Array.isArray(insertResult) &&
+        insertResult.length === toInsert.length &&
+        insertResult.every((row) => row && typeof row === "object")
+          ? toInsert.map((row, i) => ({ ...row, ...insertResult[i] }))
+          : toInsert;
+      if (counts.rows) {
+        insertedRows = await this._withPrimaryKeys(
+          config,
+          insertedRows,
+          transaction
+        );
+      }
+
+      if (options.rememberRows !== false) {
+        this.referenceResolver.recordInserted(config.tableName, insertedRows);
+      }
+      if (counts.rows) {
+        counts.rows.push(...insertedRows);
+      }
+      counts.inserted += toInsert.length;
+    }
+
+    if (mode === "upsert") {
+      for (const { record, where } of toUpdate) {
+        // Keep the original creation time of existing rows
+        const values = { ...record };
+        if (generatedCreatedAt.has(record)) {
+          delete values[createdAt];
+        }
+        if (dryRun) {
+          dryRun.update(config.tableName, values, where);
+        } else {
+          await this.queryInterface.bulkUpdate(
+            config.tableName,
+            values,
+            where,
+            { transaction }
+          );
+        }
+      }
+      counts.updated += toUpdate.length;
+    } else {
+      counts.skipped += toUpdate.length;
+    }
+  }
+
+  /**
+   * Insert a batch, splitting it in halves when it fails until the failing
+   * records are found. Each attempt runs in a savepoint (or a transaction of
+   * its own), so a failed attempt leaves no rows behind and the good rows can
+   * still be inserted.
+   * @param {Object} config - Entity configuration
+   * @param {Array} batch - Processed records
+   * @param {number} offset - Index of the first record in the inserted data
+   * @param {Object} options - Same options as _insertBatch
+   * @param {Array<Object>} rejects - Collects { index, position, record,
+   *   error }: index in the data file (null when the record was not read
+   *   from it) and position in the inserted data
+   * @returns {Promise<boolean>} Whether the batch was inserted whole
+   * @throws {Error} When a failure is not caused by the rows (missing table,
+   *   lost connection, permissions): a single row failing with such an
+   *   error, or a batch failing with it whose halves both failed as well
+   * @private
+   */
+  async _insertIsolated(config, batch, offset, options, rejects) {
+    // Counts of a failed attempt must not add up
+    const attempt = { inserted: 0, updated: 0, skipped: 0 };
+    if (options.counts.rows) {
+      attempt.rows = [];
+    }
+
+    try {
+      await this._atomically(options.transaction, (transaction) =>
+        this._insertBatch(config, batch, {
+          ...options,
+          transaction,
+          counts: attempt,
+        })
+      );
+    } catch (error) {
+      const rowError = SeederFactory._isRowError(error);
+      if (batch.length === 1) {
+        if (!rowError) {
+          throw error;
+        }
+        const index = this.sourceIndexes.get(batch[0]);
+        rejects.push({
+          index: index !== undefined ? index : null,
+          position: offset,
+          record: batch[0],
+          error: SeederFactory._rowErrorMessage(error),
+        });
+        return false;
+      }
+
+      const middle = Math.ceil(batch.length / 2);
+      this.logger.debug(
+        `   🔪 Batch of ${batch.length} failed, splitting: ${SeederFactory._rowErrorMessage(
+          error
+        )}`,
+        "batch.split",
+        { entity: config.entityType, offset, size: batch.length }
+      );
+      const firstInserted = await this._insertIsolated(
+        config,
+        batch.slice(0, middle),
+        offset,
+        options,
+        rejects
+      );
+      const secondInserted = await this._insertIsolated(
+        config,
+        batch.slice(middle),
+        offset + middle,
+        options,
+        rejects
+      );
+      if (!rowError && !firstInserted && !secondInserted) {
+        throw error;
+      }
+      return false;
+    }
+
+    const { counts } = options;
+    counts.inserted += attempt.inserted;
+    counts.updated += attempt.updated;
+    counts.skipped += attempt.skipped;
+    if (counts.rows) {
+      counts.rows.push(...attempt.rows);
+    }
+    return true;
+  }
+
+  /**
+   * Whether an error is caused by the rows themselves, so isolating them
+   * helps: validation and constraint errors, and database errors of SQLSTATE
+   * class 22 (data exception) or 23 (integrity constraint violation)
+   * @private
+   */
+  static _isRowError(error) {
+    if (ROW_ERRORS.includes(error && error.name)) {
+      return true;
+    }
+    if (!error || error.name !== "SequelizeDatabaseError") {
+      return false;
+    }
+    const parent = error.parent || error.original || {};
+    const state = String(parent.sqlState || parent.code || "");
+    return /^2[23]/.test(state) || /^SQLITE_(CONSTRAINT|MISMATCH)/.test(state);
+  }
+
+  /**
+   * Run one isolated attempt atomically, so a failing ledger write or upsert
+   * update also rolls back the rows the attempt inserted: in a savepoint of
+   * the transaction, or in a transaction of its own
+   * @private
+   */
+  async _atomically(transaction, work) {
+    const { sequelize } = this.queryInterface;
+    // A transaction option makes Sequelize open a savepoint
+    return transaction
+      ? sequelize.transaction({ transaction }, work)
+      : sequelize.transaction(work);
+  }
+
+  /**
+   * Database error of a rejected record, with the driver's detail
+   * (e.g. "Key (email)=(ana@example.com) already exists.")
+   * @private
+   */
+  static _rowErrorMessage(error) {
+    const parts = [error.message];
+    const parent = error.parent || error.original;
+    if (parent && parent.message && parent.message !== error.message) {
+      parts.push(parent.message);
+    }
+    if (parent && parent.detail) {
+      parts.push(parent.detail);
+    }
+    return parts.join(" - ");
+  }
+
+  /**
+   * Rejects collector for onRowError: "isolate", or null when a failing batch
+   * aborts the insert. Nothing can fail row by row in a dry run.
+   * @returns {Array|null} Empty rejects array, or null
+   * @throws {Error} On unknown policies, or when isolating without
+   *   transactions to retry the failing batches in
+   * @private
+   */
+  _rowErrorRejects(options, config, dryRun = null) {
+    const policy = options.onRowError || config.onRowError || "abort";
+    if (!["abort", "isolate"].includes(policy)) {
+      throw new Error(
+        `Invalid onRowError policy '${policy}'. Use "abort" or "isolate"`
+      );
+    }
+    if (policy === "abort" || dryRun) {
+      return null;
+    }
+
+    const sequelize = this.queryInterface && this.queryInterface.sequelize;
+    const supports =
+      sequelize && sequelize.dialect && sequelize.dialect.supports;
+    if (
+      !sequelize ||
+      typeof sequelize.transaction !== "function" ||
+      (supports && supports.transactions === false)
+    ) {
+      throw new Error(
+        `onRowError "isolate" needs transactions to retry failing batches without inserting rows twice`
+      );
+    }
+    return [];
+  }
+
+  /**
+   * Write isolated rejects to the rejects file and add them to the counts
+   * @private
+   */
+  _reportRejects(config, rejects, counts) {
+    counts.rejected = rejects.length;
+    if (rejects.length === 0) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(config.rejectsFile), { recursive: true });
+    fs.writeFileSync(config.rejectsFile, JSON.stringify(rejects, null, 2));
+    counts.rejectsFile = config.rejectsFile;
+    this.logger.warn(
+      `⚠️  Rejected ${rejects.length} ${config.entityType} records - written to ${config.rejectsFile}`,
+      "records.rejected",
+      {
+        entity: config.entityType,
+        table: config.tableName,
+        rejected: rejects.length,
+        file: config.rejectsFile,
+      }
+    );
+  }
+
+  /**
+   * Adds generated primary keys to inserted rows that lack them (no
+   * RETURNING, as on MySQL and SQLite), looking the rows up by the first
+   * uniqueField they all have. Rows are returned unchanged when no such
+   * field exists.
+   * @param {Object} config - Entity configuration
+   * @param {Array} rows - Inserted rows, keyed by column names
+   * @param {Object} transaction - Transaction to run in (optional)
+   * @returns {Promise<Array>} Rows with their primary keys
+   * @private
+   */
+  async _withPrimaryKeys(config, rows, transaction) {
+    const SeedLedger = require("./seed-ledger");
+    const primaryKeys = SeedLedger.primaryKeyColumnsFor(config);
+    const hasKeys = (row) => primaryKeys.every((column) => row[column] != null);
+    if (rows.every(hasKeys)) {
+      return rows;
+    }
+
+    const uniqueColumn = (config.uniqueFields || [])
+      .map((field) => FieldMapper.columnFor(config, field))
+      .find((column) => rows.every((row) => row[column] != null));
+    if (!uniqueColumn) {
+      return rows;
+    }
+
+    const found = await this.queryInterface.select(null, config.tableName, {
+      where: {
+        [uniqueColumn]: {
+          [this.Sequelize.Op.in]: rows.map((row) => row[uniqueColumn]),
+        },
+      },
+      attributes: [...new Set([...primaryKeys, uniqueColumn])],
+      raw: true,
+      transaction,
+    });
+    const keysByValue = new Map(
+      found.map((row) => [String(row[uniqueColumn]), row])
+    );
+    return rows.map((row) =>
+      hasKeys(row)
+        ? row
+        : { ...row, ...keysByValue.get(String(row[uniqueColumn])) }
+    );
+  }
+
+  /**
+   * Check whether the dialect can return inserted rows (RETURNING)
+   * @private
+   */
+  _supportsReturning() {
+    const sequelize = this.queryInterface && this.queryInterface.sequelize;
+    return Boolean(
+      sequelize &&
+      sequelize.dialect &&
+      sequelize.dialect.supports &&
+      sequelize.dialect.supports.returnValues
+    );
+  }
+
+  /**
+   * Insert one batch between the beforeBatch and afterBatch hooks
+   * @param {Object} config - Entity configuration
+   * @param {Array} batch - Processed records
+   * @param {number} offset - Index of the first record in the inserted data
+   * @param {Object} options - Same options as _insertBatch
+   * @param {Array<Object>|null} rejects - Collects rejects when isolating
+   *   row errors
+   * @returns {Promise<Object|null>} The batch's { counts, durationMs }, or
+   *   null when a beforeBatch hook cancelled it
+   * @private
+   */
+  async _insertHookedBatch(config, batch, offset, options, rejects) {
+    const { counts } = options;
+    const context = {
+      entityType: config.entityType,
+      config,
+      batch,
+      offset,
+      transaction: options.transaction,
+      dryRun: Boolean(options.dryRun),
+    };
+
+    const hookedBatch = await this.hooks.apply("beforeBatch", context, "batch");
+    if (hookedBatch === false) {
+      counts.cancelled = (counts.cancelled || 0) + batch.length;
+      this.logger.info(
+        `   ⏭️  Batch of ${batch.length} ${config.entityType} records cancelled by a beforeBatch hook`,
+        "batch.cancelled",
+        { entity: config.entityType, table: config.tableName, offset }
+      );
+      return null;
+    }
+
+    const startTime = Date.now();
+    const before = { ...counts };
+    if (rejects) {
+      await this._insertIsolated(config, hookedBatch, offset, options, rejects);
+    } else {
+      await this._insertBatch(config, hookedBatch, options);
+    }
+
+    const inserted = { counts: {}, durationMs: Date.now() - startTime };
+    ["inserted", "updated", "skipped"].forEach((name) => {
+      inserted.counts[name] = counts[name] - before[name];
+    });
+    await this.hooks.emit("afterBatch", {
+      ...context,
+      batch: hookedBatch,
+      ...inserted,
+    });
+    return inserted;
+  }
+
+  /**
+   * Log one inserted batch with its own counts and duration
+   * @param {Object} config - Entity configuration
+   * @param {string} message - Pretty message
+   * @param {Object} inserted - { counts, durationMs } of the batch
+   * @param {Object} dryRun - DryRun collecting the statements (optional)
+   * @private
+   */
+  _logBatch(config, message, inserted, dryRun = null) {
+    this.logger.info(message, "batch.inserted", {
+      entity: config.entityType,
+      table: config.tableName,
+      counts: inserted.counts,
+      durationMs: inserted.durationMs,
+      dryRun: Boolean(dryRun),
+    });
+  }
+
+  /**
+   * Run the onError hooks. A failing handler is logged, so it cannot hide
+   * the original error.
+   * @param {string} operation - "process", "insert", "stream" or "remove"
+   * @param {string} entityType - Entity type
+   * @param {Object|null} config - Entity configuration, if it was loaded
+   * @param {Error} error - The error
+   * @param {Object|boolean} transaction - Transaction option of the call
+   * @private
+   */
+  async _emitError(operation, entityType, config, error, transaction) {
+    try {
+      await this.hooks.emit("onError", {
+        entityType,
+        config,
+        operation,
+        error,
+        transaction:
+          transaction && transaction !== true ? transaction : undefined,
+      });
+    } catch (hookError) {
+      this.logger.error(
+        `❌ onError hook failed: ${hookError.message}`,
+        "hook.failed",
+        { entity: entityType, hook: "onError", error: hookError.message }
+      );
+    }
+  }
+
+  /**
+   * Log the final insert counts
+   * @param {Object} config - Entity configuration
+   * @param {string} mode - Insert mode
+   * @param {Object} counts - Final counts
+   * @param {Object} options - { dryRun, startTime }
+   * @private
+   */
+  _logInsertCounts(config, mode, counts, options = {}) {
+    const { dryRun = null, startTime } = options;
+    const entityType = config.entityType;
+    const details =
+      mode === "insert"
+        ? []
+        : [`updated: ${counts.updated}`, `skipped: ${counts.skipped}`];
+    if (counts.rejected !== undefined) {
+      details.push(`rejected: ${counts.rejected}`);
+    }
+    if (counts.cancelled !== undefined) {
+      details.push(`cancelled: ${counts.cancelled}`);
+    }
+
+    this.logger.info(
+      (dryRun
+        ? `🧪 Dry run: would insert ${counts.inserted} ${entityType} records`
+        : `✅ Successfully inserted ${counts.inserted} ${entityType} records`) +
+        (details.length > 0 ? ` (${details.join(", ")})` : "") +
+        (dryRun && dryRun.file ? ` - SQL written to ${dryRun.file}` : ""),
+      "insert.completed",
+      {
+        entity: entityType,
+        table: config.tableName,
+        mode,
+        counts: {
+          inserted: counts.inserted,
+          updated: counts.updated,
+          skipped: counts.skipped,
+          ...(counts.rejected !== undefined
+            ? { rejected: counts.rejected }
+            : {}),
+          ...(counts.cancelled !== undefined
+            ? { cancelled: counts.cancelled }
+            : {}),
+        },
+        durationMs: startTime ? Date.now() - startTime : undefined,
+        dryRun: Boolean(dryRun),
+      }
+    );
+  }
+
+  /**
+   * Split a batch into new records and records matching an existing row on
+   * any of the configured uniqueFields
+   * @param {Object} config - Entity configuration
+   * @param {Array} batch - Records to check
+   * @param {Object} transaction - Transaction to query in (optional)
+   * @returns {Promise<Object>} { toInsert, toUpdate: [{ record, where }] }
+   * @private
+   */
+  async _partitionExisting(config, batch, transaction) {
+    // Batch rows are keyed by column names
+    const uniqueColumns = config.uniqueFields.map((field) =>
+      FieldMapper.columnFor(config, field)
+    );
+    const conditions = [];
+    for (const field of uniqueColumns) {
+      const values = batch
+        .map((item) => item[field])
+        .filter((val) => val != null);
+      if (values.length > 0) {
+        conditions.push({ [field]: { [this.Sequelize.Op.in]: values } });
+      }
+    }
+
+    const existingRows =
+      conditions.length > 0
+        ? await this.queryInterface.select(null, config.tableName, {
+            where: { [this.Sequelize.Op.or]: conditions },
+            attributes: uniqueColumns,
+            raw: true,
+            transaction,
+          })
+        : [];
+
+    // Compare as strings: drivers may return numeric keys as strings
+    const existingValues = {};
+    for (const field of uniqueColumns) {
+      existingValues[field] = new Set(
+        existingRows
+          .map((row) => row[field])
+          .filter((val) => val != null)
+          .map(String)
+      );
+    }
+
+    const toInsert = [];
+    const toUpdate = [];
+    for (const record of batch) {
+      const matchedField = uniqueColumns.find(
+        (field) =>
+          record[field] != null &&
+          existingValues[field].has(String(record[field]))
+      );
+      if (matchedField) {
+        toUpdate.push({
+          record,
+          where: { [matchedField]: record[matchedField] },
+        });
+      } else {
+        toInsert.push(record);
+      }
+    }
+
+    return { toInsert, toUpdate };
+  }
+
+  /**
+   * Add a lifecycle hook handler. Handlers receive a context with the
+   * entityType, config and transaction, and run in the order they were
+   * added (async handlers are awaited):
+   *
+   * - beforeProcess: { records } - return records to replace them, or false
+   *   to process nothing (processData)
+   * - afterProcessRecord: { record, index } - return a record to replace it,
+   *   or false to drop it (processData, streamData, create)
+   * - beforeBatch: { batch, offset } - return a batch to replace it, or
+   *   false to cancel it (insertData, streamData)
+   * - afterBatch: { batch, offset, counts, durationMs }
+   * - afterInsert: { counts, durationMs } - runs inside the insert
+   *   transaction
+   * - beforeRemove: {} - return false to cancel the removal (removeData)
+   * - onError: { operation, error } - the error is still thrown
+   *
+   * @param {string} name - Hook name
+   * @param {Function} handler - Handler receiving the hook context
+   * @returns {SeederFactory} This factory, for chaining
+   * @throws {Error} On unknown hook names
+   *
+   * @example
+   * factory
+   *   .hook("beforeBatch", ({ batch }) => batch.filter((user) => !user.test))
+   *   .hook("afterBatch", ({ entityType, counts, durationMs }) =>
+   *     progress.tick(entityType, counts.inserted, durationMs)
+   *   );
+   */
+  hook(name, handler) {
+    this.hooks.add(name, handler);
+    return this;
+  }
+
+  /**
+   * Define a programmatic record factory for an entity
+   *
+   * @param {string} entityType - Entity type (e.g. "Users")
+   * @param {Object} attributes - Default attributes: values, generator tokens
+   *   ("{{internet.email}}") or functions (sequence, record) => value
+   * @param {Object} options - Definition options
+   * @param {Object} options.traits - Named attribute sets applied on request
+   * @param {Object} options.customConfig - Custom configuration used by create
+   * @param {number|string} options.seed - Seed for generator tokens
+   * @returns {EntityDefinition} Definition with build() and create()
+   *
+   * @example
+   * const users = factory.define("Users", {
+   *   userName: (n) => `user${n}`,
+   *   email: "{{internet.email}}",
+   *   disabled: false
+   * }, {
+   *   traits: { admin: { entityType: "admin" }, disabled: { disabled: true } }
+   * });
+   * const [admin] = await users.create(1, ["admin"], { name: "Root" });
+   */
+  define(entityType, attributes, options = {}) {
+    const EntityDefinition = require("./entity-definition");
+    const definition = new EntityDefinition(
+      this,
+      entityType,
+      attributes,
+      options
+    );
+    this.definitions.set(entityType, definition);
+    return definition;
+  }
+
+  /**
+   * Build records from a defined entity without touching the database
+   * @param {string} entityType - Entity type passed to define()
+   * @param {number} count - Number of records
+   * @param {string|Array<string>} traits - Traits to apply
+   * @param {Object} overrides - Attribute overrides
+   * @returns {Array<Object>} Built records
+   */
+  build(entityType, count = 1, traits = [], overrides = {}) {
+    return this._getDefinition(entityType).build(count, traits, overrides);
+  }
+
+  /**
+   * Build records from a defined entity and insert them
+   * @param {string} entityType - Entity type passed to define()
+   * @param {number} count - Number of records
+   * @param {string|Array<string>} traits - Traits to apply
+   * @param {Object} overrides - Attribute overrides
+   * @param {Object} options - Insert options (transaction, mode)
+   * @returns {Promise<Array<Object>>} Inserted rows with their primary keys
+   */
+  async create(
+    entityType,
+    count = 1,
+    traits = [],
+    overrides = {},
+    options = {}
+  ) {
+    return this._getDefinition(entityType).create(
+      count,
+      traits,
+      overrides,
+      options
+    );
+  }
+
+  /**
+   * Get a definition registered with define()
+   * @private
+   */
+  _getDefinition(entityType) {
+    const definition = this.definitions.get(entityType);
+    if (!definition) {
+      throw new Error(
+        `No definition for ${entityType}. Call factory.define("${entityType}", attributes) first`
+      );
+    }
+    return definition;
+  }
+
+  /**
+   * Compare an entity's data file with the current table contents
+   *
+   * @param {string} entityType - Entity type
+   * @param {Object} options - Diff options
+   * @param {Object} options.customConfig - Optional custom configuration
+   * @param {Object} options.transaction - Transaction to read in (optional)
+   * @param {string} options.output - "table" (default) to print a readable
+   *   table, "json" to print JSON, or "none"
+   * @returns {Promise<Object>} { counts, new, changed, unchanged, uncovered },
+   *   see SeedDiff.compare; uncovered rows only hold their key columns
+   *
+   * @example
+   * const diff = await factory.diff("Users", { output: "json" });
+   * if (diff.counts.changed > 0) {
+   *   // review before re-seeding
+   * }
+   */
+  async diff(entityType, options = {}) {
+    const SeedDiff = require("./seed-diff");
+    const { customConfig = {}, transaction, output = "table" } = options;
+
+    try {
+      const config = await this.seederConfig.loadEntityConfig(
+        entityType,
+        customConfig
+      );
+      const records = await this.processData(entityType, {
+        customConfig,
+        transaction,
+      });
+      // Read the rows the records match, and only the keys of the others
+      const { matching, uncovered, keyColumns } = SeedDiff.selectionFor(
+        records,
+        config,
+        this.Sequelize.Op
+      );
+      const select = (where, attributes) =>
+        this.queryInterface.select(null, config.tableName, {
+          where,
+          attributes,
+          raw: true,
+          transaction,
+        });
+      const rows = [
+        ...(matching ? await select(matching) : []),
+        ...(await select(uncovered, keyColumns)),
+      ];
+
+      const result = SeedDiff.compare(records, rows, config);
+      if (output !== "none") {
+        this.logger.info(
+          output === "json"
+            ? JSON.stringify(result, null, 2)
+            : SeedDiff.format(result, config),
+          "diff.completed",
+          { entity: entityType, table: config.tableName, counts: result.counts }
+        );
+      }
+      return result;
+    } catch (error) {
+      this.logger.error(
+        `❌ Failed to diff ${entityType}: ${error.message}`,
+        "diff.failed",
+        { entity: entityType, error: error.message }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Seed several entities in dependency order
+   *
+   * @param {Array<string>} entities - Entity types (e.g. ["Roles", "Users", "Orders"])
+   * @param {Object} options - Plan options
+   * @param {Object} options.customConfigs - Custom configuration per entity type
+   * @param {Object|boolean} options.transaction - Existing transaction, or true
+   *   to seed every entity in one new transaction
+   * @param {string} options.mode - Insert mode for every entity (see insertData)
+   * @returns {Promise<Object>} Inserted counts per entity type
+   * @throws {Error} If the entity dependencies contain a cycle
+   *
+   * @example
+   * await factory.seedAll(["Roles", "Users"], {
+   *   customConfigs: { Users: { tableName: "People" } }
+   * });
+   */
+  async seedAll(entities, options = {}) {
+    const SeedPlan = require("./seed-plan");
+
+    try {
+      const operations = await SeederFactory.runInTransaction(
+        this.queryInterface,
+        options.transaction,
+        (transaction) =>
+          new SeedPlan(this, entities, { ...options, transaction }).up(),
+        this.logger
+      );
+      SeederFactory.createSummaryReport(operations, this.logger);
+      return operations;
+    } catch (error) {
+      this.logger.error(
+        `❌ Seed plan failed: ${error.message}`,
+        "plan.failed",
+        {
+          entities,
+          error: error.message,
+        }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Remove several seeded entities in reverse dependency order
+   *
+   * @param {Array<string>} entities - Entity types passed to seedAll
+   * @param {Object} options - Plan options (same as seedAll)
+   * @returns {Promise<void>}
+   */
+  async removeAll(entities, options = {}) {
+    const SeedPlan = require("./seed-plan");
+
+    try {
+      await SeederFactory.runInTransaction(
+        this.queryInterface,
+        options.transaction,
+        (transaction) =>
+          new SeedPlan(this, entities, { ...options, transaction }).down(),
+        this.logger
+      );
+    } catch (error) {
+      this.logger.error(
+        `❌ Seed plan rollback failed: ${error.message}`,
+        "plan.failed",
+        { entities, error: error.message }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Remove seeded data from database
+   * @param {string} entityType - Entity type
+   * @param {Object} options - Remove options
+   * @param {Object} options.customConfig - Optional custom configuration
+   * @param {Object} options.transaction - Existing transaction to delete in
+   * @param {string} options.runId - With a ledger: only remove rows of this run
+   * @param {boolean|Object} options.dryRun - Print the DELETE statements
+   *   instead of running them (true), or append them to a file ({ file })
+   * @returns {Promise<void|Object>} On a dry run: { statements }
+   */
+  async removeData(entityType, options = {}) {
+    const DryRun = require("./dry-run");
+    const { customConfig = {}, transaction } = options;
+    const config = await this.seederConfig.loadEntityConfig(
+      entityType,
+      customConfig
+    );
+
+    try {
+      const dryRun = options.dryRun
+        ? new DryRun(this.queryInterface, options.dryRun, this.logger)
+        : null;
+      const prefix = dryRun ? "🧪 Dry run: " : "";
+      const logRemoved = (message, strategy, count) =>
+        this.logger.info(message, "remove.completed", {
+          entity: entityType,
+          table: config.tableName,
+          strategy,
+          ...(count !== undefined ? { counts: { removed: count } } : {}),
+          dryRun: Boolean(dryRun),
+        });
+      const removed = dryRun ? "🧪 Dry run: would remove" : "✅ Removed";
+      const result = dryRun ? { statements: dryRun.statements } : undefined;
+      const bulkDelete = (where, note) => {
+        if (!dryRun) {
+          return this.queryInterface.bulkDelete(config.tableName, where, {
+            transaction,
+          });
+        }
+        dryRun.comment(note);
+        dryRun.delete(config.tableName, where || {});
+        return Promise.resolve();
+      };
+
+      const proceed = await this.hooks.emit("beforeRemove", {
+        entityType,
+        config,
+        transaction,
+        dryRun: Boolean(dryRun),
+      });
+      if (proceed === false) {
+        this.logger.info(
+          `${prefix}⏭️  Removing ${entityType} records cancelled by a beforeRemove hook`,
+          "remove.cancelled",
+          { entity: entityType, table: config.tableName }
+        );
+        return result;
+      }
+
+      this.logger.info(`${prefix}🗑️  Removing ${entityType} records...`);
+
+      // With a ledger, remove exactly the rows that were recorded
+      if (this.ledger) {
+        const removedCount = await this.ledger.remove(config, {
+          runId: options.runId,
+          transaction,
+          dryRun,
+        });
+        logRemoved(
+          `${removed} ${removedCount} ${entityType} records recorded in ${this.ledger.tableName}`,
+          "ledger",
+          removedCount
+        );
+        return result;
+      }
+
+      // If we have unique fields and data file, do targeted removal
+      if (config.uniqueFields && config.uniqueFields.length > 0) {
+        // Only a missing data file falls back to deleting every row: a data
+        // or overlay file that cannot be read, or an expression that cannot
+        // be evaluated (e.g. an unset ${env.X}), must fail the removal
+        let data = null;
+        try {
+          data = await this._loadDataFile(config.dataFile, config, {
+            requireSeed: true,
+          });
+        } catch (fileError) {
+          if (fileError.code !== "ENOENT") {
+            throw fileError;
+          }
+          this.logger.warn(
+            `⚠️  Could not load data file for targeted removal: ${fileError.message}`
+          );
+        }
+        data = await this._mergeOverlay(config, data);
+
+        if (Array.isArray(data) && data.length > 0) {
+          // Same keys processData inserted: expressions (e.g.
+          // "${env.ADMIN_EMAIL}"), field names, transforms and type coercion
+          const records = [];
+          for (let index = 0; index < data.length; index++) {
+            records.push(
+              await this.dataProcessor.processGeneric(
+                data[index],
+                config,
+                index
+              )
+            );
+          }
+
+          // Build conditions for unique fields
+          const conditions = [];
+          for (const field of config.uniqueFields) {
+            const values = records
+              .map((record) => record[field])
+              .filter((val) => val != null);
+            if (values.length > 0) {
+              conditions.push({
+                [FieldMapper.columnFor(config, field)]: {
+                  [this.Sequelize.Op.in]: values,
+                },
+              });
+            }
+          }
+
+          if (conditions.length > 0) {
+            await bulkDelete(
+              { [this.Sequelize.Op.or]: conditions },
+              `${entityType}: rows matching the data file on ${config.uniqueFields.join(
+                ", "
+              )}`
+            );
+            logRemoved(
+              `${removed} ${entityType} records using unique fields`,
+              "uniqueFields"
+            );
+            return result;
+          }
+        }
+      }
+
+      // Fallback: remove all records from table
+      await bulkDelete(
+        null,
+        `${entityType}: no uniqueFields match the data file, deleting every row`
+      );
+      logRemoved(
+        `${removed} all ${entityType} records from ${config.tableName}`,
+        "all"
+      );
+      return result;
+    } catch (error) {
+      this.logger.error(
+        `❌ Failed to remove ${entityType}: ${error.message}`,
+        "remove.failed",
+        { entity: entityType, table: config.tableName, error: error.message }
+      );
+      await this._emitError("remove", entityType, config, error, transaction);
+      throw error;
     }
   }
 }
 
+/**
+ * Logger of the static helpers (loadData, bulkInsertInBatches, ...). Factory
+ * instances use their own `logger` option.
+ */
+SeederFactory.logger = new Logger();
+
 module.exports = SeederFactory;
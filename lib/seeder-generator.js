@@ -0,0 +1,318 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const Logger = require("./logger");
+const SeederConfig = require("./seeder-config");
+
+const TEMPLATE_FILE = path.join(__dirname, "../templates/seeder-template.js");
+
+/**
+ * SeederGenerator - Scaffolds a seeder and a data file for an entity
+ *
+ * Used by the `seeder-factory generate <Entity>` command. Paths follow the
+ * project's .sequelizerc (`seeders-path`, `models-path`), like sequelize-cli:
+ *
+ *   seeders/20250101000000-users.js   the seeder template, filled in
+ *   data/users.json                   one sample record from the model
+ *
+ * Existing files are never overwritten unless `force` is set.
+ *
+ * @class SeederGenerator
+ */
+class SeederGenerator {
+  /**
+   * @param {Object} options - Generator options (optional)
+   * @param {string} options.cwd - Project root (default: process.cwd())
+   * @param {boolean} options.force - Overwrite existing files
+   * @param {string} options.dataPath - Data file directory (default: data/)
+   * @param {Object} options.models - Models registry (default: loaded from
+   *   the models path when it has an index.js)
+   * @param {Logger|string|Object} options.logger - Logger
+   * @param {Date} options.now - Seeder timestamp (default: current time)
+   */
+  constructor(options = {}) {
+    this.cwd = path.resolve(options.cwd || process.cwd());
+    this.force = Boolean(options.force);
+    this.logger = Logger.from(options.logger);
+    this.now = options.now || new Date();
+
+    const paths = SeederGenerator.readSequelizerc(this.cwd);
+    this.seedersPath = paths.seedersPath;
+    this.modelsPath = paths.modelsPath;
+    this.dataPath = path.resolve(this.cwd, options.dataPath || "data");
+    this.models =
+      options.models !== undefined ? options.models : this._loadModels();
+  }
+
+  /**
+   * Reads the seeders and models paths from .sequelizerc, falling back to
+   * the sequelize-cli defaults (seeders/ and models/)
+   *
+   * @param {string} cwd - Project root
+   * @returns {Object} { seedersPath, modelsPath } as absolute paths
+   * @throws {Error} If .sequelizerc cannot be loaded
+   */
+  static readSequelizerc(cwd) {
+    const rcFile = path.join(cwd, ".sequelizerc");
+    let rc = {};
+
+    if (fs.existsSync(rcFile)) {
+      try {
+        rc = require(rcFile);
+      } catch (error) {
+        throw new Error(`Could not load ${rcFile}: ${error.message}`);
+      }
+    }
+
+    return {
+      seedersPath: path.resolve(cwd, rc["seeders-path"] || "seeders"),
+      modelsPath: path.resolve(cwd, rc["models-path"] || "models"),
+    };
+  }
+
+  /**
+   * Writes the seeder and the data file for an entity
+   *
+   * @param {string} entityType - Entity type (e.g. "Users")
+   * @returns {Object} { seederFile, dataFile } written paths
+   * @throws {Error} If a file exists and force is not set
+   *
+   * @example
+   * new SeederGenerator({ force: true }).generate("Products");
+   */
+  generate(entityType) {
+    if (!entityType || !/^[A-Za-z][\w-]*$/.test(entityType)) {
+      throw new Error(
+        `Invalid entity name '${entityType || ""}'. Use a model or table name, e.g. "Users"`
+      );
+    }
+
+    const seederConfig = new SeederConfig({
+      models: this.models,
+      modelsPath: this.modelsPath,
+      dataPath: this.dataPath,
+      environment: null,
+      logger: this.logger,
+    });
+    // Always a JSON data file, even next to an existing users.csv
+    const dataFile = path.join(
+      this.dataPath,
+      `${entityType.toLowerCase()}.json`
+    );
+    const config = seederConfig.getEntityConfig(entityType, { dataFile });
+
+    const seederFile = this._seederFileFor(entityType);
+    this._assertWritable(dataFile);
+
+    const seeder = this.renderSeeder(entityType, config);
+    const records = [this.sampleRecord(config)];
+
+    fs.mkdirSync(path.dirname(seederFile), { recursive: true });
+    fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+    fs.writeFileSync(seederFile, seeder);
+    fs.writeFileSync(dataFile, `${JSON.stringify(records, null, 4)}\n`);
+
+    this.logger.info(
+      `✅ Created ${path.relative(this.cwd, seederFile)}`,
+      "generate.seeder",
+      { entity: entityType, file: seederFile }
+    );
+    this.logger.info(
+      `✅ Created ${path.relative(this.cwd, dataFile)}`,
+      "generate.data",
+      { entity: entityType, file: dataFile }
+    );
+    if (!config.attributes && config.validFields.length === 0) {
+      this.logger.warn(
+        `⚠️  No model found for ${entityType} in ${path.relative(
+          this.cwd,
+          this.modelsPath
+        )}: fill in the sample record yourself`
+      );
+    }
+
+    return { seederFile, dataFile };
+  }
+
+  /**
+   * Fills ENTITY_NAME and CUSTOM_CONFIG of the seeder template
+   *
+   * @param {string} entityType - Entity type
+   * @param {Object} config - Discovered entity configuration
+   * @returns {string} Seeder source
+   */
+  renderSeeder(entityType, config) {
+    const template = fs.readFileSync(TEMPLATE_FILE, "utf8");
+    const customConfig = {
+      tableName: config.tableName,
+      dataFile: path
+        .relative(this.cwd, config.dataFile)
+        .split(path.sep)
+        .join("/"),
+      batchSize: config.batchSize,
+      uniqueFields: config.uniqueFields,
+    };
+    const configSource = JSON.stringify(customConfig, null, 4).replace(
+      /^( {4})"(\w+)":/gm,
+      "$1$2:"
+    );
+
+    return template
+      .replace(
+        /^const ENTITY_NAME = .*$/m,
+        `const ENTITY_NAME = ${JSON.stringify(entityType)};`
+      )
+      .replace(
+        /^const CUSTOM_CONFIG = \{[\s\S]*?^\};$/m,
+        `const CUSTOM_CONFIG = ${configSource};`
+      );
+  }
+
+  /**
+   * Builds one sample record from the model attributes (or the field names
+   * found in the model file). Generated columns are left out: primary keys
+   * with autoIncrement and timestamps.
+   *
+   * @param {Object} config - Discovered entity configuration
+   * @returns {Object} Sample record
+   */
+  sampleRecord(config) {
+    const record = {};
+
+    if (config.attributes) {
+      Object.entries(config.attributes).forEach(([name, attribute]) => {
+        if (attribute.autoIncrement || attribute.timestamp) {
+          return;
+        }
+        record[name] = SeederGenerator._sampleValue(name, attribute);
+      });
+      return record;
+    }
+
+    (config.validFields || []).forEach((name) => {
+      record[name] = SeederGenerator._sampleValue(name, {});
+    });
+    return record;
+  }
+
+  /**
+   * Sample value for an attribute, by its values, validators and type
+   * @private
+   */
+  static _sampleValue(name, attribute) {
+    const validate = attribute.validate || {};
+    const isIn = validate.isIn && (validate.isIn.args || validate.isIn);
+    if (Array.isArray(attribute.values) && attribute.values.length > 0) {
+      return attribute.values[0];
+    }
+    if (Array.isArray(isIn) && isIn.length > 0) {
+      return Array.isArray(isIn[0]) ? isIn[0][0] : isIn[0];
+    }
+    if (validate.isEmail || /email/i.test(name)) {
+      return "user@example.com";
+    }
+    if (validate.isUrl || /url$/i.test(name)) {
+      return "https://example.com";
+    }
+
+    const type = String(attribute.type || "").toUpperCase();
+    if (/^UUID/.test(type)) {
+      return "${uuid}";
+    }
+    if (/^(BOOLEAN|BOOL\b|TINYINT\(1\))/.test(type)) {
+      return true;
+    }
+    if (/^(INTEGER|INT\b|SMALLINT|MEDIUMINT|TINYINT|BIGINT)/.test(type)) {
+      return 1;
+    }
+    if (/^(FLOAT|DOUBLE|REAL|DECIMAL|NUMERIC)/.test(type)) {
+      return 9.99;
+    }
+    if (/^DATEONLY/.test(type)) {
+      return "2024-01-01";
+    }
+    if (/^(DATE|DATETIME|TIMESTAMP)/.test(type)) {
+      return "2024-01-01T00:00:00.000Z";
+    }
+    if (/^JSONB?$/.test(type)) {
+      return {};
+    }
+    if (/^ARRAY/.test(type)) {
+      return [];
+    }
+    return `Sample ${name}`;
+  }
+
+  /**
+   * Seeder file for an entity: a new timestamped file, or the existing
+   * seeder of the entity when forced
+   * @private
+   */
+  _seederFileFor(entityType) {
+    const suffix = `-${entityType
+      .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+      .toLowerCase()}.js`;
+    const existing = fs.existsSync(this.seedersPath)
+      ? fs
+          .readdirSync(this.seedersPath)
+          .filter((file) => /^\d{14}-/.test(file) && file.endsWith(suffix))
+      : [];
+
+    if (existing.length > 0) {
+      const existingFile = path.join(this.seedersPath, existing[0]);
+      this._assertWritable(existingFile);
+      return existingFile;
+    }
+
+    return path.join(
+      this.seedersPath,
+      `${SeederGenerator._timestamp(this.now)}${suffix}`
+    );
+  }
+
+  /**
+   * Refuse to overwrite an existing file without force
+   * @private
+   */
+  _assertWritable(file) {
+    if (fs.existsSync(file) && !this.force) {
+      throw new Error(
+        `${path.relative(this.cwd, file)} already exists. Use --force to overwrite it`
+      );
+    }
+  }
+
+  /**
+   * Loads the models registry (models/index.js) for model discovery. Model
+   * files are scanned instead when it cannot be loaded.
+   * @private
+   */
+  _loadModels() {
+    if (!fs.existsSync(path.join(this.modelsPath, "index.js"))) {
+      return null;
+    }
+
+    try {
+      return require(this.modelsPath);
+    } catch (error) {
+      this.logger.warn(
+        `⚠️  Could not load models from ${path.relative(
+          this.cwd,
+          this.modelsPath
+        )}: ${error.message}. Scanning model files instead.`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * sequelize-cli style timestamp (UTC): YYYYMMDDHHmmss
+   * @private
+   */
+  static _timestamp(date) {
+    return date.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  }
+}
+
+module.exports = SeederGenerator;
@@ -0,0 +1,121 @@
+"use strict";
+
+/**
+ * SEEDER HOOKS
+ *
+ * Lifecycle hooks of SeederFactory. Handlers run in the order they were
+ * added and may be async:
+ *
+ *   beforeProcess       { entityType, config, records }         return records to replace them
+ *   afterProcessRecord  { entityType, config, record, index }   return a record to replace it
+ *   beforeBatch         { entityType, config, batch, offset }   return a batch to replace it,
+ *                                                                or false to cancel it
+ *   afterBatch          { entityType, config, batch, offset, counts, durationMs }
+ *   afterInsert         { entityType, config, counts, durationMs }
+ *   beforeRemove        { entityType, config }                  return false to cancel removal
+ *   onError             { entityType, config, operation, error }
+ *
+ * Every context also carries the `transaction` in use, if any.
+ */
+
+const HOOK_NAMES = [
+  "beforeProcess",
+  "afterProcessRecord",
+  "beforeBatch",
+  "afterBatch",
+  "afterInsert",
+  "beforeRemove",
+  "onError",
+];
+
+class SeederHooks {
+  /**
+   * @param {Object} hooks - Handlers by hook name: a function or an array of
+   *   functions (optional)
+   * @throws {Error} On unknown hook names
+   */
+  constructor(hooks = {}) {
+    this.handlers = new Map(HOOK_NAMES.map((name) => [name, []]));
+
+    Object.entries(hooks).forEach(([name, handlers]) => {
+      (Array.isArray(handlers) ? handlers : [handlers]).forEach((handler) =>
+        this.add(name, handler)
+      );
+    });
+  }
+
+  /**
+   * Hook names handlers can be added to
+   * @returns {Array<string>} Hook names
+   */
+  static get names() {
+    return [...HOOK_NAMES];
+  }
+
+  /**
+   * Add a handler to a hook
+   * @param {string} name - Hook name (e.g. "afterBatch")
+   * @param {Function} handler - Handler receiving the hook context
+   * @throws {Error} On unknown hook names or non-function handlers
+   */
+  add(name, handler) {
+    if (!this.handlers.has(name)) {
+      throw new Error(
+        `Unknown hook '${name}'. Available: ${HOOK_NAMES.join(", ")}`
+      );
+    }
+    if (typeof handler !== "function") {
+      throw new Error(`Hook '${name}' handler must be a function`);
+    }
+    this.handlers.get(name).push(handler);
+  }
+
+  /**
+   * Check whether a hook has handlers
+   * @param {string} name - Hook name
+   * @returns {boolean} True when at least one handler was added
+   */
+  has(name) {
+    return this.handlers.get(name).length > 0;
+  }
+
+  /**
+   * Run a hook whose handlers may replace one value of the context. A
+   * handler returning undefined keeps the value; one returning false
+   * cancels the operation.
+   *
+   * @param {string} name - Hook name
+   * @param {Object} context - Hook context
+   * @param {string} key - Context key handlers may replace (e.g. "batch")
+   * @returns {Promise<*>} The (replaced) value, or false when cancelled
+   */
+  async apply(name, context, key) {
+    for (const handler of this.handlers.get(name)) {
+      const result = await handler(context);
+      if (result === false) {
+        return false;
+      }
+      if (result !== undefined) {
+        context[key] = result;
+      }
+    }
+    return context[key];
+  }
+
+  /**
+   * Run a hook whose handlers only observe, or cancel by returning false
+   * @param {string} name - Hook name
+   * @param {Object} context - Hook context
+   * @returns {Promise<boolean>} False when a handler cancelled
+   */
+  async emit(name, context) {
+    for (const handler of this.handlers.get(name)) {
+      if ((await handler(context)) === false) {
+        return false;
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = SeederHooks;
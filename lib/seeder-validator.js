@@ -1,5 +1,7 @@
 "use strict";
 
+const Logger = require("./logger");
+
 /**
  * SeederValidator - A comprehensive validation utility for seeder data
  *
@@ -8,6 +10,7 @@
  *
  * Features:
  * - Schema-based validation
+ * - Schemas derived from model attributes
  * - Cross-reference validation
  * - Data consistency checks
  * - Detailed error reporting
@@ -52,58 +55,223 @@ class SeederValidator {
     const warnings = [];
 
     data.forEach((item, index) => {
-      if (!item || typeof item !== "object") {
-        errors.push(`${entityName} item at index ${index}: Must be an object`);
-        return;
-      }
-
-      // Validate each field in the schema
-      Object.entries(schema).forEach(([fieldName, fieldSchema]) => {
-        const value = item[fieldName];
-        const fieldErrors = this._validateField(
-          value,
-          fieldSchema,
-          fieldName,
-          index,
-          entityName
-        );
-        errors.push(...fieldErrors);
-      });
-
-      // Check for unexpected fields
-      const schemaFields = Object.keys(schema);
-      const itemFields = Object.keys(item);
-      const unexpectedFields = itemFields.filter(
-        (field) => !schemaFields.includes(field)
-      );
-
-      if (unexpectedFields.length > 0) {
-        warnings.push(
-          `${entityName} item at index ${index}: Unexpected fields: ${unexpectedFields.join(
-            ", "
-          )}`
-        );
-      }
+      const result = this.validateRecord(item, schema, index, entityName);
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
     });
 
     const isValid = errors.length === 0;
 
     if (isValid) {
-      console.log(
-        `✓ Schema validation passed for ${data.length} ${entityName} records`
+      this.logger.info(
+        `✓ Schema validation passed for ${data.length} ${entityName} records`,
+        "validation.passed",
+        { entity: entityName, records: data.length }
       );
       if (warnings.length > 0) {
-        console.warn(`⚠ ${warnings.length} warnings found for ${entityName}`);
+        this.logger.warn(
+          `⚠ ${warnings.length} warnings found for ${entityName}`,
+          "validation.warnings",
+          { entity: entityName, warnings }
+        );
       }
     } else {
-      console.error(
-        `✗ Schema validation failed for ${entityName} with ${errors.length} errors`
+      this.logger.error(
+        `✗ Schema validation failed for ${entityName} with ${errors.length} errors`,
+        "validation.failed",
+        { entity: entityName, errors }
       );
     }
 
     return { isValid, errors, warnings };
   }
 
+  /**
+   * Validates one record against a schema, without logging
+   *
+   * @param {Object} item - Record to validate
+   * @param {Object} schema - Validation schema definition
+   * @param {number} index - Index of the record (for error reporting)
+   * @param {string} entityName - Name of the entity (for error reporting)
+   * @returns {Object} { errors, warnings } message arrays
+   */
+  static validateRecord(item, schema, index = 0, entityName = "Entity") {
+    const errors = [];
+    const warnings = [];
+
+    if (!item || typeof item !== "object") {
+      errors.push(`${entityName} item at index ${index}: Must be an object`);
+      return { errors, warnings };
+    }
+
+    // Validate each field in the schema
+    Object.entries(schema).forEach(([fieldName, fieldSchema]) => {
+      const value = item[fieldName];
+      const fieldErrors = this._validateField(
+        value,
+        fieldSchema,
+        fieldName,
+        index,
+        entityName
+      );
+      errors.push(...fieldErrors);
+    });
+
+    // Check for unexpected fields
+    const schemaFields = Object.keys(schema);
+    const itemFields = Object.keys(item);
+    const unexpectedFields = itemFields.filter(
+      (field) => !schemaFields.includes(field)
+    );
+
+    if (unexpectedFields.length > 0) {
+      warnings.push(
+        `${entityName} item at index ${index}: Unexpected fields: ${unexpectedFields.join(
+          ", "
+        )}`
+      );
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Derives a validation schema from discovered model attributes
+   * (SeederConfig `attributes`): type, allowNull and the `len`, `isEmail`
+   * and `isIn` validators, plus ENUM values
+   *
+   * @param {Object} attributes - Attribute metadata by field
+   * @returns {Object} Validation schema for validateSchema/validateRecord
+   *
+   * @example
+   * const config = await seederConfig.loadEntityConfig('Users');
+   * const schema = SeederValidator.schemaFromAttributes(config.attributes);
+   */
+  static schemaFromAttributes(attributes) {
+    const schema = {};
+
+    Object.entries(attributes || {}).forEach(([name, attribute]) => {
+      const validate = attribute.validate || {};
+      const fieldSchema = {
+        required:
+          attribute.allowNull === false &&
+          !attribute.hasDefault &&
+          !attribute.autoIncrement &&
+          !attribute.timestamp,
+      };
+
+      const type = this._schemaTypeFor(attribute.type);
+      if (type) {
+        fieldSchema.type = type;
+      }
+      if (validate.isEmail) {
+        fieldSchema.type = "email";
+      }
+
+      const len = this._validatorArgs(validate.len);
+      if (Array.isArray(len)) {
+        const [minLength, maxLength] = len;
+        if (minLength) {
+          fieldSchema.minLength = minLength;
+        }
+        if (maxLength) {
+          fieldSchema.maxLength = maxLength;
+        }
+      }
+
+      const isIn = this._validatorArgs(validate.isIn);
+      if (Array.isArray(isIn)) {
+        fieldSchema.enum = Array.isArray(isIn[0]) ? isIn[0] : isIn;
+      } else if (Array.isArray(attribute.values) && attribute.values.length) {
+        fieldSchema.enum = attribute.values;
+      }
+
+      schema[name] = fieldSchema;
+    });
+
+    return schema;
+  }
+
+  /**
+   * Finds records repeating a value of a unique field
+   *
+   * @param {Array} data - Data array to check
+   * @param {Array} uniqueFields - Field names that should be unique
+   * @returns {Array<Object>} Duplicates: { index, firstIndex, field, value }
+   */
+  static findDuplicates(data, uniqueFields) {
+    const duplicates = [];
+
+    uniqueFields.forEach((fieldName) => {
+      const valueMap = new Map();
+
+      data.forEach((item, index) => {
+        const value = item ? item[fieldName] : undefined;
+
+        if (value !== null && value !== undefined && value !== "") {
+          if (valueMap.has(value)) {
+            duplicates.push({
+              index,
+              firstIndex: valueMap.get(value),
+              field: fieldName,
+              value,
+            });
+          } else {
+            valueMap.set(value, index);
+          }
+        }
+      });
+    });
+
+    return duplicates;
+  }
+
+  /**
+   * Maps an attribute type (model or table schema) to a schema type
+   * @private
+   */
+  static _schemaTypeFor(attributeType) {
+    if (!attributeType) {
+      return null;
+    }
+
+    const baseType = String(attributeType).toUpperCase();
+    // BIGINT and DECIMAL values stay exact strings
+    if (/^(BIGINT|DECIMAL|NUMERIC)/.test(baseType)) {
+      return null;
+    }
+    if (/^(INTEGER|INT\b|SMALLINT|MEDIUMINT)/.test(baseType)) {
+      return "integer";
+    }
+    if (/^(FLOAT|DOUBLE|REAL)/.test(baseType)) {
+      return "number";
+    }
+    if (/^(BOOLEAN|BOOL\b|TINYINT\(1\))/.test(baseType)) {
+      return "boolean";
+    }
+    if (/^(DATE|DATETIME|TIMESTAMP)/.test(baseType)) {
+      return "date";
+    }
+    if (/^JSONB?$/.test(baseType)) {
+      return "json";
+    }
+    if (/^(STRING|TEXT|CHAR|VARCHAR|CHARACTER|CITEXT)/.test(baseType)) {
+      return "string";
+    }
+    return null;
+  }
+
+  /**
+   * Arguments of a Sequelize validator: `[a, b]` or `{ args: [a, b] }`
+   * @private
+   */
+  static _validatorArgs(validator) {
+    if (validator && typeof validator === "object" && "args" in validator) {
+      return validator.args;
+    }
+    return validator;
+  }
+
   /**
    * Validates individual field against field schema
    *
@@ -334,18 +502,49 @@ class SeederValidator {
     const isValid = errors.length === 0;
 
     if (isValid) {
-      console.log(
-        `✓ Cross-reference validation passed between ${sourceName} and ${targetName}`
+      this.logger.info(
+        `✓ Cross-reference validation passed between ${sourceName} and ${targetName}`,
+        "validation.passed",
+        { entity: sourceName, target: targetName }
       );
     } else {
-      console.error(
-        `✗ Cross-reference validation failed between ${sourceName} and ${targetName} with ${errors.length} errors`
+      this.logger.error(
+        `✗ Cross-reference validation failed between ${sourceName} and ${targetName} with ${errors.length} errors`,
+        "validation.failed",
+        { entity: sourceName, target: targetName, errors }
       );
     }
 
     return { isValid, errors, warnings };
   }
 
+  /**
+   * Finds the records in a data set whose fields equal every value in `where`
+   *
+   * Uses the same strict equality as validateCrossReferences, so a reference
+   * that passes cross-reference validation resolves to the same records.
+   *
+   * @param {Array} targetData - Data array to search
+   * @param {Object} where - Field/value pairs the record must match
+   * @returns {Array} Matching records
+   *
+   * @example
+   * const [admin] = SeederValidator.findMatchingRecords(roleData, { name: 'admin' });
+   */
+  static findMatchingRecords(targetData, where = {}) {
+    if (!Array.isArray(targetData)) {
+      return [];
+    }
+
+    const conditions = Object.entries(where);
+    return targetData.filter(
+      (item) =>
+        item &&
+        typeof item === "object" &&
+        conditions.every(([field, value]) => item[field] === value)
+    );
+  }
+
   /**
    * Validates uniqueness of specified fields within a dataset
    *
@@ -369,32 +568,27 @@ class SeederValidator {
       };
     }
 
-    uniqueFields.forEach((fieldName) => {
-      const valueMap = new Map();
-
-      data.forEach((item, index) => {
-        const value = item[fieldName];
-
-        if (value !== null && value !== undefined && value !== "") {
-          if (valueMap.has(value)) {
-            const firstIndex = valueMap.get(value);
-            errors.push(
-              `${entityName}: Duplicate value '${value}' for field '${fieldName}' found at indices ${firstIndex} and ${index}`
-            );
-          } else {
-            valueMap.set(value, index);
-          }
-        }
-      });
-    });
+    this.findDuplicates(data, uniqueFields).forEach(
+      ({ index, firstIndex, field, value }) => {
+        errors.push(
+          `${entityName}: Duplicate value '${value}' for field '${field}' found at indices ${firstIndex} and ${index}`
+        );
+      }
+    );
 
     const isValid = errors.length === 0;
 
     if (isValid) {
-      console.log(`✓ Uniqueness validation passed for ${entityName}`);
+      this.logger.info(
+        `✓ Uniqueness validation passed for ${entityName}`,
+        "validation.passed",
+        { entity: entityName }
+      );
     } else {
-      console.error(
-        `✗ Uniqueness validation failed for ${entityName} with ${errors.length} errors`
+      this.logger.error(
+        `✗ Uniqueness validation failed for ${entityName} with ${errors.length} errors`,
+        "validation.failed",
+        { entity: entityName, errors }
       );
     }
 
@@ -437,30 +631,39 @@ class SeederValidator {
 
     const overallValid = allErrors.length === 0;
 
-    console.log("\n🔍 VALIDATION REPORT");
-    console.log("===================");
-    console.log(`Total Validations: ${totalValidations}`);
-    console.log(`Passed: ${passedValidations}`);
-    console.log(`Failed: ${totalValidations - passedValidations}`);
-    console.log(`Errors: ${allErrors.length}`);
-    console.log(`Warnings: ${allWarnings.length}`);
-    console.log(`Overall Status: ${overallValid ? "✅ PASSED" : "❌ FAILED"}`);
+    const lines = [
+      "\n🔍 VALIDATION REPORT",
+      "===================",
+      `Total Validations: ${totalValidations}`,
+      `Passed: ${passedValidations}`,
+      `Failed: ${totalValidations - passedValidations}`,
+      `Errors: ${allErrors.length}`,
+      `Warnings: ${allWarnings.length}`,
+      `Overall Status: ${overallValid ? "✅ PASSED" : "❌ FAILED"}`,
+    ];
 
     if (allErrors.length > 0) {
-      console.log("\n❌ ERRORS:");
+      lines.push("\n❌ ERRORS:");
       allErrors.forEach((error, index) => {
-        console.log(`  ${index + 1}. ${error}`);
+        lines.push(`  ${index + 1}. ${error}`);
       });
     }
 
     if (allWarnings.length > 0) {
-      console.log("\n⚠️  WARNINGS:");
+      lines.push("\n⚠️  WARNINGS:");
       allWarnings.forEach((warning, index) => {
-        console.log(`  ${index + 1}. ${warning}`);
+        lines.push(`  ${index + 1}. ${warning}`);
       });
     }
 
-    console.log("===================\n");
+    lines.push("===================\n");
+    this.logger.info(lines.join("\n"), "validation.report", {
+      isValid: overallValid,
+      totalValidations,
+      passedValidations,
+      errors: allErrors,
+      warnings: allWarnings,
+    });
 
     return {
       isValid: overallValid,
@@ -473,4 +676,10 @@ class SeederValidator {
   }
 }
 
+/**
+ * Logger of the validation methods, e.g.
+ * `SeederValidator.logger = new Logger({ level: "silent" })`
+ */
+SeederValidator.logger = new Logger();
+
 module.exports = SeederValidator;
@@ -0,0 +1,182 @@
+"use strict";
+
+/**
+ * TYPE COERCER
+ *
+ * Converts JSON values to what a column expects, using the discovered
+ * attribute types (model or table schema):
+ *
+ *   DATE / TIMESTAMP     "2024-01-01T10:00:00Z"  -> Date
+ *   BOOLEAN              "true", "1", 0          -> true, true, false
+ *   DECIMAL / BIGINT     "12345678901234567890"  -> kept as an exact string
+ *   INTEGER / FLOAT      "42"                    -> 42
+ *   TEXT / STRING        { "a": 1 }              -> '{"a":1}'
+ *
+ * Values that cannot be converted fail with the record and field, instead of
+ * inside the database driver.
+ */
+
+const COERCIONS = [
+  { pattern: /^(DATETIME|TIMESTAMP|DATE\b)/, coerce: toDate },
+  { pattern: /^(BOOLEAN|BOOL\b|TINYINT\(1\))/, coerce: toBoolean },
+  { pattern: /^BIGINT\b/, coerce: (value) => toExactNumber(value, true) },
+  { pattern: /^(DECIMAL|NUMERIC)\b/, coerce: (value) => toExactNumber(value) },
+  {
+    pattern: /^(INTEGER|INT\b|SMALLINT|MEDIUMINT|TINYINT|FLOAT|DOUBLE|REAL)/,
+    coerce: toNumber,
+  },
+  {
+    pattern:
+      /^(TEXT|STRING|VARCHAR|CHAR|CHARACTER|CITEXT|TINYTEXT|MEDIUMTEXT|LONGTEXT)/,
+    coerce: toText,
+  },
+];
+
+class TypeCoercer {
+  /**
+   * Coerces every field of a record that has a known attribute type
+   *
+   * @param {Object} record - Processed record
+   * @param {Object} attributes - Attribute metadata by field (config.attributes)
+   * @param {Object} options - Options (optional)
+   * @param {number} options.index - Record index (for error reporting)
+   * @param {string} options.fileName - Data file (for error reporting)
+   * @returns {Object} Coerced record
+   * @throws {Error} If a value cannot be converted to its column type
+   *
+   * @example
+   * TypeCoercer.coerceRecord({ active: "1" }, { active: { type: "BOOLEAN" } });
+   * // { active: true }
+   */
+  static coerceRecord(record, attributes, options = {}) {
+    if (!attributes) {
+      return record;
+    }
+
+    const { index = 0, fileName = "data file" } = options;
+    const coerced = { ...record };
+
+    Object.keys(coerced).forEach((field) => {
+      const attribute = attributes[field];
+      if (!attribute || !attribute.type) {
+        return;
+      }
+
+      try {
+        coerced[field] = this.coerceValue(coerced[field], attribute.type);
+      } catch (error) {
+        throw new Error(
+          `Invalid ${attribute.type} value in ${fileName} record ${index}, field '${field}': ${error.message}`
+        );
+      }
+    });
+
+    return coerced;
+  }
+
+  /**
+   * Coerces one value to an attribute type
+   * @param {*} value - Field value
+   * @param {string} type - Attribute type, e.g. "DATE" or "DECIMAL(10,2)"
+   * @returns {*} Coerced value (unchanged for unknown types)
+   * @throws {Error} If the value cannot be converted
+   */
+  static coerceValue(value, type) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    const baseType = String(type).toUpperCase();
+    const coercion = COERCIONS.find(({ pattern }) => pattern.test(baseType));
+    return coercion ? coercion.coerce(value) : value;
+  }
+}
+
+/**
+ * Strings and timestamps to Date
+ * @private
+ */
+function toDate(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  if (typeof value !== "string" && typeof value !== "number") {
+    throw new Error(`${JSON.stringify(value)} is not a date`);
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`'${value}' is not a valid date`);
+  }
+  return date;
+}
+
+/**
+ * "true"/"false", "1"/"0", "yes"/"no" and 1/0 to booleans
+ * @private
+ */
+function toBoolean(value) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  const normalized = String(value).trim().toLowerCase();
+  if (["true", "1", "yes"].includes(normalized)) {
+    return true;
+  }
+  if (["false", "0", "no"].includes(normalized)) {
+    return false;
+  }
+  throw new Error(`'${value}' is not a boolean`);
+}
+
+/**
+ * Numeric strings stay strings so no precision is lost; numbers must be
+ * exactly representable
+ * @private
+ */
+function toExactNumber(value, integer = false) {
+  const pattern = integer ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+
+  if (typeof value === "number") {
+    if (integer && !Number.isSafeInteger(value)) {
+      throw new Error(
+        `${value} is not an exact integer; write large values as strings`
+      );
+    }
+    return value;
+  }
+  if (typeof value === "string" && pattern.test(value.trim())) {
+    return value.trim();
+  }
+  throw new Error(
+    `'${value}' is not ${integer ? "an integer" : "a number"} string`
+  );
+}
+
+/**
+ * Numeric strings to numbers
+ * @private
+ */
+function toNumber(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+  const text = typeof value === "string" ? value.trim() : "";
+  const number = Number(text);
+  if (text === "" || isNaN(number)) {
+    throw new Error(`'${value}' is not a number`);
+  }
+  return number;
+}
+
+/**
+ * Objects and arrays to JSON strings
+ * @private
+ */
+function toText(value) {
+  if (value !== null && typeof value === "object" && !(value instanceof Date)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+module.exports = TypeCoercer;
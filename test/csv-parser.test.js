@@ -0,0 +1,145 @@
+"use strict";
+
+const CsvParser = require("../lib/csv-parser");
+
+describe("CsvParser.parse", () => {
+  it("keys records by the header row", () => {
+    expect(CsvParser.parse("name,email\nAna,ana@x.com\n")).toEqual([
+      { name: "Ana", email: "ana@x.com" },
+    ]);
+  });
+
+  it("keeps delimiters inside quoted fields", () => {
+    expect(CsvParser.parse('name,city\n"Doe, John","Paris, FR"')).toEqual([
+      { name: "Doe, John", city: "Paris, FR" },
+    ]);
+  });
+
+  it("keeps newlines inside quoted fields", () => {
+    expect(CsvParser.parse('name,bio\nAna,"line 1\nline 2"\nBo,x')).toEqual([
+      { name: "Ana", bio: "line 1\nline 2" },
+      { name: "Bo", bio: "x" },
+    ]);
+  });
+
+  it('unescapes "" inside quoted fields', () => {
+    expect(CsvParser.parse('quote\n"She said ""hi"""')).toEqual([
+      { quote: 'She said "hi"' },
+    ]);
+  });
+
+  it("strips a byte order mark", () => {
+    expect(CsvParser.parse("\uFEFFname\nAna")).toEqual([{ name: "Ana" }]);
+  });
+
+  it("reads CRLF line endings and skips blank lines", () => {
+    expect(CsvParser.parse("name,age\r\nAna,30\r\n\r\nBo,41\r\n")).toEqual([
+      { name: "Ana", age: "30" },
+      { name: "Bo", age: "41" },
+    ]);
+  });
+
+  it("reads tab-delimited files", () => {
+    expect(
+      CsvParser.parse("name\tcity\nAna\tParis, FR", { delimiter: "\t" })
+    ).toEqual([{ name: "Ana", city: "Paris, FR" }]);
+  });
+
+  it("returns no records for an empty file", () => {
+    expect(CsvParser.parse("")).toEqual([]);
+  });
+
+  it("reports ragged rows with their line", () => {
+    expect(() =>
+      CsvParser.parse("name,email\nAna,ana@x.com\nBo", {
+        fileName: "users.csv",
+      })
+    ).toThrow("users.csv line 3: expected 2 fields, got 1");
+  });
+
+  it("reports rows on the line they start, after multi-line cells", () => {
+    expect(() =>
+      CsvParser.parse('name,bio\nAna,"a\nb"\nBo,x,extra', {
+        fileName: "users.csv",
+      })
+    ).toThrow("users.csv line 4: expected 2 fields, got 3");
+  });
+
+  it("reports unterminated quoted fields", () => {
+    expect(() =>
+      CsvParser.parse('name\n"Ana', { fileName: "users.csv" })
+    ).toThrow("users.csv line 2: unterminated quoted field");
+  });
+
+  it("reports empty column names", () => {
+    expect(() =>
+      CsvParser.parse("name,,email\n", { fileName: "users.csv" })
+    ).toThrow("Empty column name in users.csv header (column 2)");
+  });
+
+  describe("typed cells", () => {
+    const columnTypes = {
+      age: "number",
+      active: "boolean",
+      tags: "json",
+      born: "date",
+    };
+
+    it("converts cells to their column type", () => {
+      const [record] = CsvParser.parse(
+        'name,age,active,tags,born\nAna, 30 ,Yes,"[""a"",""b""]",2024-01-02',
+        { columnTypes }
+      );
+
+      expect(record).toEqual({
+        name: "Ana",
+        age: 30,
+        active: true,
+        tags: ["a", "b"],
+        born: new Date("2024-01-02"),
+      });
+    });
+
+    it("turns empty cells into null", () => {
+      expect(
+        CsvParser.parse("name,age\n,", { columnTypes: { age: "number" } })
+      ).toEqual([{ name: null, age: null }]);
+    });
+
+    it.each([
+      ["age", "abc", "is not a number"],
+      ["active", "maybe", "is not a boolean"],
+      ["tags", "[oops", "is not valid JSON"],
+      ["born", "someday", "is not a valid date"],
+    ])("rejects a bad %s cell", (field, cell, message) => {
+      expect(() =>
+        CsvParser.parse(`${field}\n${cell}`, {
+          columnTypes,
+          fileName: "users.csv",
+        })
+      ).toThrow(`users.csv line 2, column '${field}': '${cell}' ${message}`);
+    });
+
+    it("rejects unknown column types", () => {
+      expect(() =>
+        CsvParser.parse("age\n1", { columnTypes: { age: "money" } })
+      ).toThrow("unknown column type 'money'");
+    });
+  });
+});
+
+describe("CsvParser.columnTypeFor", () => {
+  it.each([
+    ["INTEGER", "number"],
+    ["FLOAT", "number"],
+    ["BOOLEAN", "boolean"],
+    ["TINYINT(1)", "boolean"],
+    ["JSONB", "json"],
+    ["BIGINT", null],
+    ["DECIMAL(10,2)", null],
+    ["VARCHAR(255)", null],
+    [undefined, null],
+  ])("maps %s to %s", (attributeType, columnType) => {
+    expect(CsvParser.columnTypeFor(attributeType)).toBe(columnType);
+  });
+});
@@ -0,0 +1,104 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { createFactory } = require("./helpers");
+
+describe("dry run", () => {
+  let setup;
+
+  beforeEach(() => {
+    setup = createFactory({
+      define: (sequelize, DataTypes) =>
+        sequelize.define(
+          "User",
+          {
+            email: { type: DataTypes.STRING, unique: true },
+            name: DataTypes.STRING,
+          },
+          { tableName: "People", timestamps: false }
+        ),
+      files: {
+        "users.json": [
+          { email: "ana@example.com", name: "Ana" },
+          { email: "bo@example.com", name: "Bo" },
+        ],
+      },
+    });
+  });
+
+  afterEach(() => setup.cleanup());
+
+  const processed = () => setup.factory.processData("Users");
+
+  it("returns the INSERT statements without writing", async () => {
+    const { factory, calls, sequelize } = setup;
+
+    const result = await factory.insertData("Users", await processed(), {
+      dryRun: true,
+    });
+
+    expect(calls).toEqual([]);
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ inserted: 2 });
+    expect(result.statements).toEqual([
+      expect.stringMatching(
+        /^INSERT INTO "People" \("email","name"\) VALUES \('ana@example\.com','Ana'\),\('bo@example\.com','Bo'\);$/
+      ),
+    ]);
+  });
+
+  it("appends the statements to a file", async () => {
+    const { factory, dataPath } = setup;
+    const file = path.join(dataPath, "seed.sql");
+    fs.writeFileSync(file, "-- earlier run\n");
+
+    await factory.insertData("Users", await processed(), {
+      dryRun: { file },
+    });
+
+    const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+    expect(lines[0]).toBe("-- earlier run");
+    expect(lines[1]).toMatch(/^INSERT INTO "People"/);
+  });
+
+  it("reads existing rows to print UPDATEs for upserts", async () => {
+    const { factory, calls, queryInterface } = setup;
+    queryInterface.select.mockImplementation(async () => [
+      { id: 1, email: "ana@example.com", name: "Anna" },
+    ]);
+
+    const result = await factory.insertData("Users", await processed(), {
+      dryRun: true,
+      mode: "upsert",
+      customConfig: { uniqueFields: ["email"] },
+    });
+
+    expect(calls).toEqual([]);
+    expect(result).toMatchObject({ inserted: 1, updated: 1 });
+    expect(result.statements).toEqual([
+      expect.stringMatching(/^INSERT INTO "People" .*'bo@example\.com'/),
+      expect.stringMatching(
+        /^UPDATE "People" SET "email"='ana@example\.com',"name"='Ana' WHERE "email" = 'ana@example\.com'/
+      ),
+    ]);
+  });
+
+  it("returns the DELETE statements of removeData without deleting", async () => {
+    const { factory, calls } = setup;
+
+    const result = await factory.removeData("Users", {
+      dryRun: true,
+      customConfig: { uniqueFields: ["email"] },
+    });
+
+    expect(calls).toEqual([]);
+    expect(result.statements).toEqual(
+      expect.arrayContaining([
+        expect.stringMatching(
+          /^DELETE FROM "People" WHERE .*"email" IN \('ana@example\.com', 'bo@example\.com'\)/
+        ),
+      ])
+    );
+  });
+});
@@ -0,0 +1,103 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const { createFactory } = require("./helpers");
+
+describe("EntityDefinition", () => {
+  let setup;
+
+  beforeEach(() => {
+    setup = createFactory({
+      define: (sequelize, DataTypes) =>
+        sequelize.define(
+          "User",
+          { userName: DataTypes.STRING, email: DataTypes.STRING },
+          { tableName: "Users", underscored: true }
+        ),
+    });
+    setup.factory.define(
+      "Users",
+      { userName: (n) => `user${n}`, email: (n) => `user${n}@example.com` },
+      { traits: { admin: { userName: "admin" } } }
+    );
+  });
+
+  afterEach(() => setup.cleanup());
+
+  it("builds records keyed by attribute names", () => {
+    expect(setup.factory.build("Users", 2)).toEqual([
+      { userName: "user1", email: "user1@example.com" },
+      { userName: "user2", email: "user2@example.com" },
+    ]);
+  });
+
+  it("inserts rows keyed by column names", async () => {
+    await setup.factory.create("Users", 1, ["admin"]);
+
+    const [[, table, rows]] = setup.calls;
+    expect(table).toBe("Users");
+    expect(rows[0]).toMatchObject({
+      user_name: "admin",
+      email: "user1@example.com",
+    });
+    expect(rows[0].created_at).toBeInstanceOf(Date);
+  });
+
+  it("returns created rows keyed by attribute names, like build()", async () => {
+    const [user] = await setup.factory.create("Users", 1, ["admin"]);
+
+    expect(user).toMatchObject({
+      id: 1,
+      userName: "admin",
+      email: "user1@example.com",
+    });
+    expect(user.createdAt).toBeInstanceOf(Date);
+    expect(user).not.toHaveProperty("user_name");
+    expect(user).not.toHaveProperty("created_at");
+  });
+
+  describe("without RETURNING", () => {
+    beforeEach(() => {
+      const { dialect } = setup.sequelize;
+      dialect.supports = { ...dialect.supports, returnValues: false };
+      // bulkInsert returns no rows, like MySQL and SQLite
+      setup.queryInterface.bulkInsert.mockImplementation(async () => 2);
+    });
+
+    it("looks up generated primary keys by uniqueFields", async () => {
+      setup.queryInterface.select.mockImplementation(async () => [
+        { id: 12, user_name: "user2" },
+        { id: 11, user_name: "user1" },
+      ]);
+
+      // Users are matched on userName (column user_name) by default
+      const users = await setup.factory.create("Users", 2);
+
+      expect(setup.queryInterface.select).toHaveBeenCalledWith(
+        null,
+        "Users",
+        expect.objectContaining({
+          where: { user_name: { [Op.in]: ["user1", "user2"] } },
+          attributes: ["id", "user_name"],
+        })
+      );
+      expect(users.map((user) => [user.id, user.userName])).toEqual([
+        [11, "user1"],
+        [12, "user2"],
+      ]);
+    });
+
+    it("refuses to create rows whose keys cannot be looked up", async () => {
+      setup.factory.define(
+        "Users",
+        { userName: "ana" },
+        { customConfig: { uniqueFields: [] } }
+      );
+
+      await expect(setup.factory.create("Users", 1)).rejects.toThrow(
+        /Cannot return the generated id of created Users.*Set uniqueFields/
+      );
+      expect(setup.queryInterface.bulkInsert).not.toHaveBeenCalled();
+    });
+  });
+});
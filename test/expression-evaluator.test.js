@@ -0,0 +1,63 @@
+"use strict";
+
+const ExpressionEvaluator = require("../lib/expression-evaluator");
+
+describe("ExpressionEvaluator.evaluateField", () => {
+  const now = new Date("2024-03-10T12:00:00.000Z");
+  const evaluate = (record, field, options = {}) =>
+    ExpressionEvaluator.evaluateField(record, field, {
+      fileName: "users.json",
+      index: 2,
+      env: { ADMIN_EMAIL: "admin@example.com" },
+      now,
+      ...options,
+    });
+
+  it("writes $${ out as a literal ${", () => {
+    expect(
+      evaluate({ note: "Costs $${price} (${env.ADMIN_EMAIL})" }, "note")
+    ).toBe("Costs ${price} (admin@example.com)");
+    expect(evaluate({ note: "$${now}" }, "note")).toBe("${now}");
+  });
+
+  it("fills in other fields of the record with ref.row", () => {
+    const record = {
+      userName: "ana",
+      login: "${ref.row.userName}",
+      email: "${ref.row.login}@example.com",
+    };
+
+    expect(evaluate(record, "email")).toBe("ana@example.com");
+  });
+
+  it("keeps the value of a field that is one expression", () => {
+    expect(evaluate({ age: 42, copy: "${ref.row.age}" }, "copy")).toBe(42);
+    expect(evaluate({ at: "${now - 1d}" }, "at")).toEqual(
+      new Date("2024-03-09T12:00:00.000Z")
+    );
+  });
+
+  it("fails on unknown and circular ref.row fields", () => {
+    expect(() => evaluate({ email: "${ref.row.nope}" }, "email")).toThrow(
+      "Unknown field 'nope' in users.json record 2, field 'email'"
+    );
+    expect(() =>
+      evaluate({ a: "${ref.row.b}", b: "x${ref.row.a}" }, "a")
+    ).toThrow("Circular ref.row expression in users.json record 2, field 'a'");
+  });
+
+  it("fails on unknown expressions and missing environment variables", () => {
+    expect(() => evaluate({ id: "${random}" }, "id")).toThrow(
+      "Unknown expression '${random}' in users.json record 2, field 'id'"
+    );
+    expect(() => evaluate({ key: "${env.MISSING}" }, "key")).toThrow(
+      "Missing environment variable 'MISSING'"
+    );
+  });
+
+  it("generates a UUID", () => {
+    expect(evaluate({ id: "${uuid}" }, "id")).toMatch(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+    );
+  });
+});
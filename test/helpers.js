@@ -0,0 +1,134 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Sequelize, DataTypes } = require("sequelize");
+const SeederFactory = require("../lib/seeder-factory");
+
+/**
+ * Sequelize instance for defining models: postgres dialect, no driver, never
+ * connected
+ */
+function createSequelize() {
+  return new Sequelize({
+    dialect: "postgres",
+    dialectModule: {},
+    logging: false,
+  });
+}
+
+/**
+ * Fake sequelize.transaction(): managed ((work) or (options, work)) and
+ * unmanaged (() => transaction) transactions. A transaction passed in the
+ * options makes a savepoint. Rolled back transactions are flagged, so
+ * `isKept(transaction)` tells whether writes made in it were kept.
+ */
+function fakeTransactions(sequelize) {
+  let id = 0;
+  const create = (parent = null) => ({
+    id: ++id,
+    parent,
+    rolledBack: false,
+    commit: jest.fn(async () => {}),
+    rollback: jest.fn(async function rollback() {
+      this.rolledBack = true;
+    }),
+  });
+
+  sequelize.transaction = jest.fn(async (options, work) => {
+    if (typeof options === "function") {
+      [options, work] = [{}, options];
+    }
+    const transaction = create((options && options.transaction) || null);
+    if (!work) {
+      return transaction;
+    }
+    try {
+      return await work(transaction);
+    } catch (error) {
+      transaction.rolledBack = true;
+      throw error;
+    }
+  });
+
+  return (transaction) => {
+    for (let current = transaction; current; current = current.parent) {
+      if (current.rolledBack) {
+        return false;
+      }
+    }
+    return true;
+  };
+}
+
+/**
+ * SeederFactory on a query interface whose writes are jest mocks. Every
+ * call is recorded in `calls` as [method, table, ...args], and in `writes`
+ * with its transaction; `keptWrites()` leaves out rolled back ones.
+ *
+ * @param {Object} options - { define(sequelize, DataTypes), files, factory }
+ *   where files are data files ({ "users.json": [...] }) written to a
+ *   temporary data directory and factory holds extra factory options
+ */
+function createFactory(options = {}) {
+  const sequelize = createSequelize();
+  if (options.define) {
+    options.define(sequelize, DataTypes);
+  }
+
+  const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), "seeder-factory-"));
+  Object.entries(options.files || {}).forEach(([name, content]) => {
+    fs.writeFileSync(
+      path.join(dataPath, name),
+      typeof content === "string" ? content : JSON.stringify(content)
+    );
+  });
+
+  const calls = [];
+  const writes = [];
+  const record = (call, options = {}) => {
+    calls.push(call);
+    writes.push({ call, transaction: options.transaction });
+  };
+  const isKept = fakeTransactions(sequelize);
+  const queryInterface = sequelize.getQueryInterface();
+  queryInterface.bulkInsert = jest.fn(async (table, rows, options) => {
+    record(["bulkInsert", table, rows], options);
+    return rows.map((row, index) => ({ id: index + 1, ...row }));
+  });
+  queryInterface.bulkUpdate = jest.fn(async (table, values, where, options) => {
+    record(["bulkUpdate", table, values, where], options);
+  });
+  queryInterface.bulkDelete = jest.fn(async (table, where, options) => {
+    record(["bulkDelete", table, where], options);
+  });
+  queryInterface.select = jest.fn(async () => []);
+
+  const factory = new SeederFactory(queryInterface, Sequelize, {
+    sequelize,
+    models: sequelize.models,
+    modelsPath: path.join(dataPath, "models"),
+    dataPath,
+    environment: null,
+    logger: "silent",
+    ...options.factory,
+  });
+
+  const cleanup = () => fs.rmSync(dataPath, { recursive: true, force: true });
+  const keptWrites = () =>
+    writes
+      .filter(({ transaction }) => isKept(transaction))
+      .map(({ call }) => call);
+  return {
+    factory,
+    queryInterface,
+    sequelize,
+    calls,
+    keptWrites,
+    dataPath,
+    cleanup,
+  };
+}
+
+module.exports = { createSequelize, createFactory };
@@ -0,0 +1,254 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {
+  ConnectionError,
+  DatabaseError,
+  UniqueConstraintError,
+} = require("sequelize");
+const { createFactory } = require("./helpers");
+
+const defineUser = (sequelize, DataTypes) =>
+  sequelize.define(
+    "User",
+    { email: { type: DataTypes.STRING, unique: true } },
+    { tableName: "People", timestamps: false }
+  );
+
+// bulkInsert fails for batches holding a "bad" email, like a constraint would
+const failOnBad = (queryInterface) => {
+  const { bulkInsert } = queryInterface;
+  queryInterface.bulkInsert = jest.fn(async (table, rows, options) => {
+    if (rows.some((row) => row.email.startsWith("bad"))) {
+      throw new UniqueConstraintError({
+        message: `duplicate key value in ${table}`,
+      });
+    }
+    return bulkInsert(table, rows, options);
+  });
+};
+
+const insertedEmails = (writes) =>
+  writes
+    .filter(([method]) => method === "bulkInsert")
+    .flatMap(([, , rows]) => rows.map((row) => row.email));
+
+describe("SeederFactory#insertData with onRowError: isolate", () => {
+  let setup;
+
+  beforeEach(() => {
+    setup = createFactory({ define: defineUser });
+    failOnBad(setup.queryInterface);
+  });
+
+  afterEach(() => setup.cleanup());
+
+  it("inserts the good records and writes the failing ones to the rejects file", async () => {
+    const { factory, dataPath, keptWrites } = setup;
+    const records = ["ok1", "bad1", "ok2", "ok3"].map((email) => ({ email }));
+
+    const counts = await factory.insertData("Users", records, {
+      onRowError: "isolate",
+    });
+
+    expect(counts).toMatchObject({ inserted: 3, rejected: 1 });
+    expect(insertedEmails(keptWrites())).toEqual(["ok1", "ok2", "ok3"]);
+
+    const rejects = JSON.parse(
+      fs.readFileSync(path.join(dataPath, "users.rejects.json"), "utf8")
+    );
+    expect(rejects).toEqual([
+      expect.objectContaining({
+        record: { email: "bad1" },
+        error: "duplicate key value in People",
+      }),
+    ]);
+  });
+
+  it("does not insert rows twice when a step after the INSERT fails", async () => {
+    const { factory, queryInterface, keptWrites } = setup;
+    const records = ["ok1", "ok2"].map((email) => ({ email }));
+    // The upsert update of an existing row fails once the batch is inserted
+    queryInterface.select = jest.fn(async () => [{ email: "ok0" }]);
+    queryInterface.bulkUpdate = jest.fn(async () => {
+      throw new DatabaseError(
+        Object.assign(new Error("value too long"), { code: "22001" })
+      );
+    });
+
+    const counts = await factory.insertData(
+      "Users",
+      [{ email: "ok0" }, ...records],
+      { onRowError: "isolate", mode: "upsert" }
+    );
+
+    expect(counts).toMatchObject({ inserted: 2, rejected: 1 });
+    expect(insertedEmails(keptWrites())).toEqual(["ok1", "ok2"]);
+  });
+
+  it("runs every attempt in a savepoint of the given transaction", async () => {
+    const { factory, sequelize, keptWrites } = setup;
+    const transaction = await sequelize.transaction();
+    const records = ["ok1", "bad1"].map((email) => ({ email }));
+
+    await factory.insertData("Users", records, {
+      onRowError: "isolate",
+      transaction,
+    });
+
+    expect(sequelize.transaction).toHaveBeenCalledWith(
+      { transaction },
+      expect.any(Function)
+    );
+    expect(insertedEmails(keptWrites())).toEqual(["ok1"]);
+  });
+
+  it("refuses to isolate without transactions", async () => {
+    const { factory, sequelize, calls } = setup;
+    sequelize.dialect.supports = {
+      ...sequelize.dialect.supports,
+      transactions: false,
+    };
+
+    await expect(
+      factory.insertData("Users", [{ email: "ok1" }], {
+        onRowError: "isolate",
+      })
+    ).rejects.toThrow('onRowError "isolate" needs transactions');
+    expect(calls).toEqual([]);
+  });
+
+  it("stops on failures not caused by the records", async () => {
+    const { factory, dataPath, queryInterface } = setup;
+    const records = ["ok1", "ok2", "ok3", "ok4"].map((email) => ({ email }));
+    queryInterface.bulkInsert = jest.fn(async () => {
+      throw new DatabaseError(
+        Object.assign(new Error('relation "People" does not exist'), {
+          code: "42P01",
+        })
+      );
+    });
+
+    await expect(
+      factory.insertData("Users", records, { onRowError: "isolate" })
+    ).rejects.toThrow('relation "People" does not exist');
+    // The batch, a half and its first record: no attempt per record
+    expect(queryInterface.bulkInsert).toHaveBeenCalledTimes(3);
+    expect(fs.existsSync(path.join(dataPath, "users.rejects.json"))).toBe(
+      false
+    );
+  });
+
+  it("stops when a single record fails with a connection error", async () => {
+    const { factory, queryInterface } = setup;
+    const { bulkInsert } = queryInterface;
+    queryInterface.bulkInsert = jest.fn(async (table, rows, options) => {
+      if (rows.some((row) => row.email === "lost")) {
+        throw new ConnectionError(new Error("Connection terminated"));
+      }
+      return bulkInsert(table, rows, options);
+    });
+    const records = ["ok1", "lost"].map((email) => ({ email }));
+
+    await expect(
+      factory.insertData("Users", records, { onRowError: "isolate" })
+    ).rejects.toThrow("Connection terminated");
+  });
+
+  describe("rejected record index", () => {
+    const readRejects = () =>
+      JSON.parse(
+        fs.readFileSync(path.join(setup.dataPath, "users.rejects.json"), "utf8")
+      );
+    const seed = async (files, factoryOptions = {}) => {
+      setup.cleanup();
+      setup = createFactory({
+        define: defineUser,
+        files,
+        factory: factoryOptions,
+      });
+      failOnBad(setup.queryInterface);
+      const customConfig = { uniqueFields: ["email"] };
+      const processed = await setup.factory.processData("Users", {
+        customConfig,
+      });
+      await setup.factory.insertData("Users", processed, {
+        customConfig,
+        onRowError: "isolate",
+      });
+      return readRejects();
+    };
+
+    it("is the index in the data file after records were dropped", async () => {
+      const rejects = await seed(
+        {
+          "users.json": [
+            { email: "ok1" },
+            { email: "skipped" },
+            { email: "ok2" },
+            { email: "bad1" },
+          ],
+        },
+        {
+          hooks: {
+            afterProcessRecord: ({ record }) =>
+              record.email === "skipped" ? false : undefined,
+          },
+        }
+      );
+
+      expect(rejects).toEqual([
+        expect.objectContaining({
+          index: 3,
+          position: 2,
+          record: { email: "bad1" },
+        }),
+      ]);
+    });
+
+    it("is the index in the data file with an overlay", async () => {
+      const rejects = await seed(
+        {
+          "users.json": [
+            { email: "ok1" },
+            { email: "gone" },
+            { email: "ok2", name: "x" },
+            { email: "bad1" },
+          ],
+          "users.staging.json": [
+            { email: "gone", $delete: true },
+            { email: "bad1", name: "y" },
+            { email: "bad2" },
+          ],
+        },
+        { environment: "staging" }
+      );
+
+      expect(rejects).toEqual([
+        expect.objectContaining({
+          index: 3,
+          position: 2,
+          record: { email: "bad1" },
+        }),
+        expect.objectContaining({
+          index: null,
+          position: 3,
+          record: { email: "bad2" },
+        }),
+      ]);
+    });
+
+    it("is null for records not read from the data file", async () => {
+      const { factory } = setup;
+
+      await factory.insertData("Users", [{ email: "bad1" }], {
+        onRowError: "isolate",
+      });
+
+      expect(readRejects()).toEqual([
+        expect.objectContaining({ index: null, position: 0 }),
+      ]);
+    });
+  });
+});
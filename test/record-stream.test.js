@@ -0,0 +1,183 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const RecordStream = require("../lib/record-stream");
+
+describe("RecordStream.read", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "record-stream-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  const readAll = async (file) => {
+    const records = [];
+    for await (const record of RecordStream.read(file)) {
+      records.push(record);
+    }
+    return records;
+  };
+
+  describe("JSON arrays", () => {
+    it("yields each element of the array", async () => {
+      const file = write("users.json", '[{"name":"Ana"}, {"name":"Bo"}]\n');
+
+      await expect(readAll(file)).resolves.toEqual([
+        { name: "Ana" },
+        { name: "Bo" },
+      ]);
+    });
+
+    it("keeps escaped quotes, brackets and commas inside strings", async () => {
+      const records = [
+        { quote: 'She said "hi"' },
+        { text: "a ] b [ c }, {" },
+        { path: "C:\\temp\\" },
+      ];
+      const file = write("quotes.json", JSON.stringify(records));
+
+      await expect(readAll(file)).resolves.toEqual(records);
+    });
+
+    it("reads nested arrays and objects", async () => {
+      const records = [
+        { tags: ["a", ["b", "c"]], meta: { list: [{ id: 1 }] } },
+        [1, 2],
+        "plain",
+        3,
+      ];
+      const file = write("nested.json", JSON.stringify(records, null, 2));
+
+      await expect(readAll(file)).resolves.toEqual(records);
+    });
+
+    it("reads CRLF files", async () => {
+      const file = write(
+        "crlf.json",
+        '[\r\n  {"a": 1},\r\n  {"b": 2}\r\n]\r\n'
+      );
+
+      await expect(readAll(file)).resolves.toEqual([{ a: 1 }, { b: 2 }]);
+    });
+
+    it("reads elements split across read chunks", async () => {
+      const records = Array.from({ length: 3000 }, (_, id) => ({
+        id,
+        text: 'x "]" \\ y',
+      }));
+      const file = write("large.json", JSON.stringify(records));
+
+      await expect(readAll(file)).resolves.toEqual(records);
+    });
+
+    it("yields nothing for an empty array", async () => {
+      const file = write("empty.json", " [ ] ");
+
+      await expect(readAll(file)).resolves.toEqual([]);
+    });
+
+    it("reports a file that is not an array", async () => {
+      const file = write("object.json", '{"name": "Ana"}');
+
+      await expect(readAll(file)).rejects.toThrow(
+        `Invalid JSON in data file: ${file} (line 1, column 1): Data must be an array`
+      );
+    });
+
+    it("reports a malformed element on the line it starts", async () => {
+      const file = write("bad.json", '[\n  {"a": 1},\n  {"b": }\n]');
+
+      await expect(readAll(file)).rejects.toThrow(
+        `Invalid JSON in data file: ${file} (line 3, column 1)`
+      );
+    });
+
+    it("reports a stray comma with its line", async () => {
+      const file = write("comma.json", '[\n  {"a": 1},\n  ,\n]');
+
+      await expect(readAll(file)).rejects.toThrow(
+        `${file} (line 3, column 3): Unexpected ','`
+      );
+    });
+
+    it("reports content after the array", async () => {
+      const file = write("trailing.json", '[{"a": 1}]\n[{"b": 2}]');
+
+      await expect(readAll(file)).rejects.toThrow(
+        `${file} (line 2, column 1): Unexpected content after the top-level array`
+      );
+    });
+
+    it("reports an unterminated array", async () => {
+      const file = write("open.json", '[{"a": 1},\n{"b": 2}');
+
+      await expect(readAll(file)).rejects.toThrow("Unexpected end of data");
+    });
+  });
+
+  describe("NDJSON", () => {
+    it("yields one record per line, skipping blank lines", async () => {
+      const file = write("events.ndjson", '{"a":1}\n\n{"b":2}\n   \n{"c":3}');
+
+      await expect(readAll(file)).resolves.toEqual([
+        { a: 1 },
+        { b: 2 },
+        { c: 3 },
+      ]);
+    });
+
+    it("reads CRLF line endings", async () => {
+      const file = write("events.jsonl", '{"a":1}\r\n{"b":"x\\r\\ny"}\r\n');
+
+      await expect(readAll(file)).resolves.toEqual([{ a: 1 }, { b: "x\r\ny" }]);
+    });
+
+    it("reads lines split across read chunks", async () => {
+      const records = Array.from({ length: 3000 }, (_, id) => ({
+        id,
+        text: 'x "\\n" y',
+      }));
+      const file = write(
+        "large.ndjson",
+        records.map((record) => JSON.stringify(record)).join("\n")
+      );
+
+      await expect(readAll(file)).resolves.toEqual(records);
+    });
+
+    it("reports a malformed record with its line", async () => {
+      const file = write("bad.ndjson", '{"a":1}\n\n{"b":}\n');
+
+      await expect(readAll(file)).rejects.toThrow(
+        `Invalid JSON in data file: ${file} (line 3, column 1)`
+      );
+    });
+  });
+
+  it("reports a missing file", async () => {
+    const file = path.join(dir, "missing.ndjson");
+
+    await expect(readAll(file)).rejects.toThrow(`Data file not found: ${file}`);
+  });
+
+  it("refuses formats it cannot stream", async () => {
+    const file = write("users.csv", "name\nAna");
+
+    expect(RecordStream.supports(file)).toBe(false);
+    await expect(readAll(file)).rejects.toThrow(
+      `Cannot stream ${file}: streaming supports .json arrays and .ndjson/.jsonl files`
+    );
+  });
+});
@@ -0,0 +1,219 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const { createFactory } = require("./helpers");
+
+const defineUser = (sequelize, DataTypes) =>
+  sequelize.define(
+    "User",
+    { userName: DataTypes.STRING, email: DataTypes.STRING },
+    { tableName: "People" }
+  );
+
+describe("SeederFactory#removeData", () => {
+  let setup;
+
+  const create = (options) => {
+    setup = createFactory({ define: defineUser, ...options });
+    return setup;
+  };
+
+  afterEach(() => setup.cleanup());
+
+  it("removes the rows matching the data file on uniqueFields", async () => {
+    const { factory, calls } = create({
+      files: { "users.json": [{ email: "ana@x.com" }, { email: "bo@x.com" }] },
+    });
+
+    await factory.removeData("Users", {
+      customConfig: { uniqueFields: ["email"] },
+    });
+
+    expect(calls).toEqual([
+      [
+        "bulkDelete",
+        "People",
+        { [Op.or]: [{ email: { [Op.in]: ["ana@x.com", "bo@x.com"] } }] },
+      ],
+    ]);
+  });
+
+  it("removes the rows under the keys processData inserted", async () => {
+    const { factory, calls } = create({
+      files: {
+        "users.json": [
+          { user_name: "  ana ", email: "Ana@X.com" },
+          { user_name: "bo", email: "BO@x.com" },
+        ],
+      },
+    });
+    const customConfig = {
+      uniqueFields: ["userName", "email"],
+      transforms: { email: "lowercase" },
+    };
+
+    const inserted = await factory.processData("Users", { customConfig });
+    await factory.removeData("Users", { customConfig });
+
+    expect(inserted).toEqual([
+      { userName: "ana", email: "ana@x.com" },
+      { userName: "bo", email: "bo@x.com" },
+    ]);
+    expect(calls).toEqual([
+      [
+        "bulkDelete",
+        "People",
+        {
+          [Op.or]: [
+            { userName: { [Op.in]: ["ana", "bo"] } },
+            { email: { [Op.in]: ["ana@x.com", "bo@x.com"] } },
+          ],
+        },
+      ],
+    ]);
+  });
+
+  it("removes generated records by regenerating them from their seed", async () => {
+    const { factory, calls } = create({
+      files: {
+        "users.json": {
+          count: 2,
+          seed: 42,
+          template: { email: "user{{sequence}}@x.com" },
+        },
+      },
+    });
+
+    await factory.removeData("Users", {
+      customConfig: { uniqueFields: ["email"] },
+    });
+
+    expect(calls).toEqual([
+      [
+        "bulkDelete",
+        "People",
+        { [Op.or]: [{ email: { [Op.in]: ["user1@x.com", "user2@x.com"] } }] },
+      ],
+    ]);
+  });
+
+  it("fails on generated records without a seed", async () => {
+    const { factory, calls } = create({
+      files: {
+        "users.json": { count: 2, template: { email: "{{internet.email}}" } },
+      },
+    });
+
+    await expect(
+      factory.removeData("Users", {
+        customConfig: { uniqueFields: ["email"] },
+      })
+    ).rejects.toThrow(/users\.json have no seed/);
+    expect(calls).toEqual([]);
+  });
+
+  it("removes every row when the data file is missing", async () => {
+    const { factory, calls } = create();
+
+    await factory.removeData("Users", {
+      customConfig: { uniqueFields: ["email"] },
+    });
+
+    expect(calls).toEqual([["bulkDelete", "People", null]]);
+  });
+
+  it("fails on a malformed data file instead of removing every row", async () => {
+    const { factory, calls } = create({ files: { "users.json": "[{" } });
+
+    await expect(
+      factory.removeData("Users", {
+        customConfig: { uniqueFields: ["email"] },
+      })
+    ).rejects.toThrow("Invalid JSON in data file");
+    expect(calls).toEqual([]);
+  });
+
+  it("fails on a broken overlay instead of removing every row", async () => {
+    const { factory, calls } = create({
+      factory: { environment: "staging" },
+      files: {
+        "users.json": [{ email: "ana@x.com" }],
+        "users.staging.json": [{ name: "x", $delete: true }],
+      },
+    });
+
+    await expect(
+      factory.removeData("Users", {
+        customConfig: { uniqueFields: ["email"] },
+      })
+    ).rejects.toThrow("record 0 has none of the uniqueFields (email)");
+    expect(calls).toEqual([]);
+  });
+
+  it("fails on an unset environment variable instead of removing every row", async () => {
+    delete process.env.SEEDER_TEST_ADMIN_EMAIL;
+    const { factory, calls } = create({
+      files: {
+        "users.json": [
+          { email: "ana@x.com" },
+          { email: "${env.SEEDER_TEST_ADMIN_EMAIL}" },
+        ],
+      },
+    });
+
+    await expect(
+      factory.removeData("Users", {
+        customConfig: { uniqueFields: ["email"] },
+      })
+    ).rejects.toThrow(/users\.json record 1, field 'email'/);
+    expect(calls).toEqual([]);
+  });
+
+  it("removes the rows matching environment variables in the data file", async () => {
+    process.env.SEEDER_TEST_ADMIN_EMAIL = "admin@x.com";
+    const { factory, calls } = create({
+      files: { "users.json": [{ email: "${env.SEEDER_TEST_ADMIN_EMAIL}" }] },
+    });
+
+    try {
+      await factory.removeData("Users", {
+        customConfig: { uniqueFields: ["email"] },
+      });
+    } finally {
+      delete process.env.SEEDER_TEST_ADMIN_EMAIL;
+    }
+
+    expect(calls).toEqual([
+      [
+        "bulkDelete",
+        "People",
+        { [Op.or]: [{ email: { [Op.in]: ["admin@x.com"] } }] },
+      ],
+    ]);
+  });
+
+  it("removes the rows of the data file merged with its overlay", async () => {
+    const { factory, calls } = create({
+      factory: { environment: "staging" },
+      files: {
+        "users.json": [{ email: "ana@x.com" }, { email: "bo@x.com" }],
+        "users.staging.json": [
+          { email: "bo@x.com", $delete: true },
+          { email: "cy@x.com" },
+        ],
+      },
+    });
+
+    await factory.removeData("Users", {
+      customConfig: { uniqueFields: ["email"] },
+    });
+
+    expect(calls).toEqual([
+      [
+        "bulkDelete",
+        "People",
+        { [Op.or]: [{ email: { [Op.in]: ["ana@x.com", "cy@x.com"] } }] },
+      ],
+    ]);
+  });
+});
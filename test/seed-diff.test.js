@@ -0,0 +1,136 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const SeedDiff = require("../lib/seed-diff");
+const { createFactory } = require("./helpers");
+
+describe("SeedDiff", () => {
+  const config = {
+    entityType: "Accounts",
+    tableName: "Accounts",
+    uniqueFields: ["code"],
+    attributes: {
+      id: { field: "id", type: "INTEGER", primaryKey: true },
+      code: { field: "account_code", type: "STRING" },
+      balance: { field: "balance", type: "DECIMAL" },
+      views: { field: "views", type: "BIGINT" },
+      active: { field: "active", type: "BOOLEAN" },
+      pin: { field: "pin", type: "STRING" },
+    },
+  };
+  const changesOf = (record, row) =>
+    SeedDiff.compare([record], [{ account_code: "A", ...row }], config)
+      .changed.map(({ changes }) => Object.keys(changes))
+      .flat();
+
+  it("compares BIGINT values beyond 2^53 exactly", () => {
+    expect(
+      changesOf(
+        { code: "A", views: "9007199254740993" },
+        { views: "9007199254740992" }
+      )
+    ).toEqual(["views"]);
+    expect(
+      changesOf(
+        { code: "A", views: "9007199254740993" },
+        { views: "9007199254740993" }
+      )
+    ).toEqual([]);
+  });
+
+  it("compares DECIMAL values as decimals", () => {
+    expect(
+      changesOf({ code: "A", balance: 10.5 }, { balance: "10.50" })
+    ).toEqual([]);
+    expect(
+      changesOf(
+        { code: "A", balance: "12345678901234567.01" },
+        { balance: "12345678901234567.02" }
+      )
+    ).toEqual(["balance"]);
+  });
+
+  it("compares string columns as they are", () => {
+    expect(changesOf({ code: "A", pin: "007" }, { pin: "7" })).toEqual(["pin"]);
+  });
+
+  it("tolerates 0/1 booleans", () => {
+    expect(changesOf({ code: "A", active: true }, { active: 1 })).toEqual([]);
+  });
+
+  it("does not treat strings with leading zeros as numbers without a type", () => {
+    const untyped = { ...config, attributes: undefined };
+    const result = SeedDiff.compare(
+      [{ code: "A", zip: "007" }],
+      [{ code: "A", zip: 7 }],
+      untyped
+    );
+
+    expect(result.changed[0].changes).toEqual({
+      zip: { file: "007", table: 7 },
+    });
+  });
+
+  it("selects the matching rows and the keys of the others", () => {
+    expect(
+      SeedDiff.selectionFor([{ code: "A" }, { code: "B" }], config, Op)
+    ).toEqual({
+      matching: { [Op.or]: [{ account_code: { [Op.in]: ["A", "B"] } }] },
+      uncovered: {
+        [Op.and]: [
+          {
+            [Op.or]: [
+              { account_code: null },
+              { account_code: { [Op.notIn]: ["A", "B"] } },
+            ],
+          },
+        ],
+      },
+      keyColumns: ["account_code", "id"],
+    });
+  });
+});
+
+describe("SeederFactory#diff", () => {
+  let setup;
+
+  beforeEach(() => {
+    setup = createFactory({
+      files: {
+        "users.json": [
+          { email: "ana@example.com", name: "Ana" },
+          { email: "bo@example.com", name: "Bo" },
+        ],
+      },
+    });
+  });
+
+  afterEach(() => setup.cleanup());
+
+  it("reads only the rows the data file needs", async () => {
+    setup.queryInterface.select.mockImplementation(
+      async (model, table, options) =>
+        options.attributes
+          ? [{ email: "old@example.com" }]
+          : [{ id: 1, email: "ana@example.com", name: "Anna" }]
+    );
+
+    const result = await setup.factory.diff("Users", {
+      customConfig: { uniqueFields: ["email"] },
+      output: "none",
+    });
+
+    const [[, , matching], [, , uncovered]] =
+      setup.queryInterface.select.mock.calls;
+    expect(matching.where).toEqual({
+      [Op.or]: [{ email: { [Op.in]: ["ana@example.com", "bo@example.com"] } }],
+    });
+    expect(uncovered.attributes).toEqual(["email"]);
+    expect(result.counts).toEqual({
+      new: 1,
+      changed: 1,
+      unchanged: 0,
+      uncovered: 1,
+    });
+  });
+});
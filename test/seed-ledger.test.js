@@ -0,0 +1,211 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { Sequelize } = require("sequelize");
+const SeedLedger = require("../lib/seed-ledger");
+const { createFactory } = require("./helpers");
+
+const { Op } = Sequelize;
+
+/**
+ * Query interface with jest mocks for everything the ledger calls. Ledger
+ * entries written with bulkInsert are returned by select on the ledger table.
+ */
+function createQueryInterface({ returnValues = true, rows = [] } = {}) {
+  const entries = [];
+  return {
+    entries,
+    sequelize: { dialect: { supports: { returnValues } } },
+    createTable: jest.fn(async () => {}),
+    bulkInsert: jest.fn(async (table, inserted) => {
+      inserted.forEach((entry) =>
+        entries.push({ id: entries.length + 1, ...entry })
+      );
+    }),
+    bulkDelete: jest.fn(async () => {}),
+    select: jest.fn(async (model, table) =>
+      table === "SeederFactoryLedger" ? entries : rows
+    ),
+  };
+}
+
+describe("SeedLedger", () => {
+  // Primary key `uid` stored in column user_id
+  const config = {
+    entityType: "Users",
+    tableName: "Users",
+    uniqueFields: ["email"],
+    attributes: {
+      uid: { field: "user_id", primaryKey: true, autoIncrement: true },
+      email: { field: "email_address" },
+    },
+  };
+
+  it("asks for the primary key columns to be returned", () => {
+    const ledger = new SeedLedger(createQueryInterface(), Sequelize);
+
+    expect(
+      ledger.insertOptionsFor(config, [{ email_address: "ana@example.com" }])
+    ).toEqual({ returning: ["user_id"] });
+  });
+
+  it("records the primary key columns returned by the insert", async () => {
+    const queryInterface = createQueryInterface();
+    const ledger = new SeedLedger(queryInterface, Sequelize, { runId: "run" });
+
+    const recorded = await ledger.record(
+      config,
+      [{ email_address: "ana@example.com" }],
+      [{ user_id: 7, email_address: "ana@example.com" }]
+    );
+
+    expect(recorded).toBe(1);
+    expect(queryInterface.entries[0]).toMatchObject({
+      entityType: "Users",
+      runId: "run",
+      primaryKey: JSON.stringify({ user_id: 7 }),
+    });
+  });
+
+  it("looks up mapped primary keys by the unique field's column", async () => {
+    const queryInterface = createQueryInterface({
+      returnValues: false,
+      rows: [{ user_id: 7 }],
+    });
+    const ledger = new SeedLedger(queryInterface, Sequelize);
+
+    expect(ledger.insertOptionsFor(config, [{}])).toEqual({});
+    await ledger.record(config, [{ email_address: "ana@example.com" }], 1);
+
+    expect(queryInterface.select).toHaveBeenCalledWith(
+      null,
+      "Users",
+      expect.objectContaining({
+        where: { email_address: { [Op.in]: ["ana@example.com"] } },
+        attributes: ["user_id"],
+      })
+    );
+    expect(queryInterface.entries[0].primaryKey).toBe(
+      JSON.stringify({ user_id: 7 })
+    );
+  });
+
+  it("removes recorded rows by their primary key columns", async () => {
+    const queryInterface = createQueryInterface();
+    const ledger = new SeedLedger(queryInterface, Sequelize);
+    await ledger.record(config, [{}, {}], [{ user_id: 7 }, { user_id: 8 }]);
+
+    expect(await ledger.remove(config)).toBe(2);
+    expect(queryInterface.bulkDelete.mock.calls.map((call) => call[1])).toEqual(
+      [{ user_id: { [Op.in]: [7, 8] } }, { id: { [Op.in]: [1, 2] } }]
+    );
+  });
+});
+
+describe("SeederFactory with a ledger", () => {
+  let setup;
+  let entries;
+
+  beforeEach(() => {
+    setup = createFactory({
+      define: (sequelize, DataTypes) =>
+        sequelize.define(
+          "User",
+          { email: { type: DataTypes.STRING, unique: true } },
+          { tableName: "People", timestamps: false }
+        ),
+      files: {
+        "users.json": [
+          { email: "ana@example.com" },
+          { email: "bo@example.com" },
+        ],
+      },
+      factory: { ledger: true, runId: "run-1" },
+    });
+
+    // Ledger entries are kept in memory and read back by select
+    entries = [];
+    const { queryInterface } = setup;
+    const { bulkInsert } = queryInterface;
+    queryInterface.createTable = jest.fn(async () => {});
+    queryInterface.bulkInsert = jest.fn(async (table, rows, options) => {
+      if (table === "SeederFactoryLedger") {
+        rows.forEach((row) => entries.push({ id: entries.length + 1, ...row }));
+      }
+      return bulkInsert(table, rows, options);
+    });
+    queryInterface.select = jest.fn(async (model, table) =>
+      table === "SeederFactoryLedger" ? entries : []
+    );
+  });
+
+  afterEach(() => setup.cleanup());
+
+  const seed = async () => {
+    const records = await setup.factory.processData("Users");
+    await setup.factory.insertData("Users", records);
+  };
+
+  it("records the primary keys of inserted rows", async () => {
+    await seed();
+
+    expect(
+      entries.map(({ entityType, tableName, runId, primaryKey }) => [
+        entityType,
+        tableName,
+        runId,
+        primaryKey,
+      ])
+    ).toEqual([
+      ["Users", "People", "run-1", '{"id":1}'],
+      ["Users", "People", "run-1", '{"id":2}'],
+    ]);
+  });
+
+  it("looks up the primary keys without RETURNING", async () => {
+    const { sequelize, queryInterface } = setup;
+    sequelize.dialect.supports = {
+      ...sequelize.dialect.supports,
+      returnValues: false,
+    };
+    // bulkInsert returns no rows, like MySQL and SQLite
+    const { bulkInsert } = queryInterface;
+    queryInterface.bulkInsert = jest.fn(async (table, rows, options) => {
+      const result = await bulkInsert(table, rows, options);
+      return table === "People" ? rows.length : result;
+    });
+    queryInterface.select.mockImplementation(async (model, table) =>
+      table === "People" ? [{ id: 11 }, { id: 12 }] : entries
+    );
+
+    await seed();
+
+    expect(queryInterface.select).toHaveBeenCalledWith(
+      null,
+      "People",
+      expect.objectContaining({
+        where: {
+          email: { [Op.in]: ["ana@example.com", "bo@example.com"] },
+        },
+      })
+    );
+    expect(entries.map((entry) => entry.primaryKey)).toEqual([
+      '{"id":11}',
+      '{"id":12}',
+    ]);
+  });
+
+  it("removes exactly the recorded rows, whatever the data file holds", async () => {
+    await seed();
+    fs.writeFileSync(path.join(setup.dataPath, "users.json"), "[]");
+
+    await setup.factory.removeData("Users");
+
+    const deletes = setup.calls.filter(([method]) => method === "bulkDelete");
+    expect(deletes).toEqual([
+      ["bulkDelete", "People", { id: { [Op.in]: [1, 2] } }],
+      ["bulkDelete", "SeederFactoryLedger", { id: { [Op.in]: [1, 2] } }],
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+"use strict";
+
+const SeedPlan = require("../lib/seed-plan");
+const { createFactory } = require("./helpers");
+
+describe("SeedPlan", () => {
+  let setup;
+
+  afterEach(() => setup.cleanup());
+
+  it("orders entities by belongsTo associations", async () => {
+    setup = createFactory({
+      define: (sequelize, DataTypes) => {
+        const Role = sequelize.define(
+          "Role",
+          { name: DataTypes.STRING },
+          { tableName: "Roles" }
+        );
+        const User = sequelize.define(
+          "User",
+          { email: DataTypes.STRING },
+          { tableName: "Users" }
+        );
+        User.belongsTo(Role);
+      },
+    });
+
+    const plan = new SeedPlan(setup.factory, ["Users", "Roles"]);
+
+    expect(await plan.resolveOrder()).toEqual(["Roles", "Users"]);
+  });
+
+  it("orders entities by the $ref values of their data files", async () => {
+    setup = createFactory({
+      files: {
+        "orders.json": [
+          { productId: { $ref: "Products", where: { sku: "A-1" } } },
+        ],
+        "products.json": [{ sku: "A-1" }],
+      },
+    });
+
+    const plan = new SeedPlan(setup.factory, ["Orders", "Products"]);
+
+    expect(await plan.resolveOrder()).toEqual(["Products", "Orders"]);
+  });
+
+  it("orders entities by dependsOn and ignores entities outside the plan", async () => {
+    setup = createFactory();
+
+    const plan = new SeedPlan(setup.factory, ["Invoices", "Customers"], {
+      customConfigs: { Invoices: { dependsOn: ["Customers", "Countries"] } },
+    });
+
+    expect(await plan.resolveOrder()).toEqual(["Customers", "Invoices"]);
+  });
+
+  it("fails on a dependency cycle, naming it", async () => {
+    setup = createFactory();
+
+    const plan = new SeedPlan(setup.factory, ["A", "B", "C"], {
+      customConfigs: {
+        A: { dependsOn: ["B"] },
+        B: { dependsOn: ["C"] },
+        C: { dependsOn: ["A"] },
+      },
+    });
+
+    await expect(plan.resolveOrder()).rejects.toThrow(
+      "Dependency cycle detected: A -> B -> C -> A"
+    );
+  });
+
+  it("seeds in dependency order and removes in reverse", async () => {
+    setup = createFactory({
+      files: {
+        "orders.json": [{ number: 1, productId: 1 }],
+        "products.json": [{ sku: "A-1" }],
+      },
+    });
+    const customConfigs = {
+      Orders: { dependsOn: ["Products"], uniqueFields: ["number"] },
+      Products: { uniqueFields: ["sku"] },
+    };
+    const tables = (method) =>
+      setup.calls.filter(([name]) => name === method).map(([, table]) => table);
+
+    await setup.factory.seedAll(["Orders", "Products"], { customConfigs });
+    await setup.factory.removeAll(["Orders", "Products"], { customConfigs });
+
+    expect(tables("bulkInsert")).toEqual(["Products", "Orders"]);
+    expect(tables("bulkDelete")).toEqual(["Orders", "Products"]);
+  });
+});
@@ -0,0 +1,103 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const SeederConfig = require("../lib/seeder-config");
+const { createFactory } = require("./helpers");
+
+describe("SeederConfig#getEntityConfig", () => {
+  const create = () =>
+    new SeederConfig({
+      modelsPath: "/nonexistent/models",
+      dataPath: "/nonexistent/data",
+      environment: null,
+      logger: "silent",
+    });
+
+  it("caches configs by entity and custom configuration", () => {
+    const seederConfig = create();
+
+    const first = seederConfig.getEntityConfig("Users", { batchSize: 10 });
+
+    expect(seederConfig.getEntityConfig("Users", { batchSize: 10 })).toBe(
+      first
+    );
+    expect(
+      seederConfig.getEntityConfig("Users", { batchSize: 20 }).batchSize
+    ).toBe(20);
+  });
+
+  it("does not share configs between closures with the same source", () => {
+    const seederConfig = create();
+    const salted = (salt) => ({ transforms: { email: (v) => v + salt } });
+
+    const a = seederConfig.getEntityConfig("Users", salted("A"));
+    const b = seederConfig.getEntityConfig("Users", salted("B"));
+
+    expect(a.transforms.email("x")).toBe("xA");
+    expect(b.transforms.email("x")).toBe("xB");
+  });
+});
+
+describe("SeederConfig without a loaded model", () => {
+  let setup;
+
+  // Model files are scanned when the models registry has no such model
+  const writeModel = (options) => {
+    const modelsPath = path.join(setup.dataPath, "models");
+    fs.mkdirSync(modelsPath, { recursive: true });
+    fs.writeFileSync(
+      path.join(modelsPath, "post.js"),
+      `module.exports = (sequelize, DataTypes) =>
+  sequelize.define(
+    "Post",
+    { title: DataTypes.STRING, body: DataTypes.TEXT },
+    { tableName: "Posts", ${options} }
+  );
+`
+    );
+  };
+
+  beforeEach(() => {
+    setup = createFactory({
+      files: {
+        "posts.json": [
+          { title: "Hello", body: "First", createdAt: "2024-01-02T03:04:05Z" },
+        ],
+      },
+    });
+  });
+
+  afterEach(() => setup.cleanup());
+
+  it("keeps the timestamp columns valid", () => {
+    writeModel("paranoid: true");
+
+    expect(
+      setup.factory.seederConfig.getEntityConfig("Posts").validFields
+    ).toEqual(["title", "body", "createdAt", "updatedAt", "deletedAt"]);
+  });
+
+  it("keeps the underscored timestamp columns valid", () => {
+    writeModel("underscored: true");
+
+    expect(
+      setup.factory.seederConfig.getEntityConfig("Posts").validFields
+    ).toEqual(["title", "body", "created_at", "updated_at"]);
+  });
+
+  it("inserts the timestamps of the data file", async () => {
+    writeModel("underscored: true");
+
+    const records = await setup.factory.processData("Posts");
+    await setup.factory.insertData("Posts", records);
+
+    const [[, table, rows]] = setup.calls;
+    expect(table).toBe("Posts");
+    expect(new Date(rows[0].created_at).toISOString()).toBe(
+      "2024-01-02T03:04:05.000Z"
+    );
+    expect(rows[0].updated_at).toBeInstanceOf(Date);
+    expect(rows[0]).not.toHaveProperty("createdAt");
+  });
+});
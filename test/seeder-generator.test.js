@@ -0,0 +1,120 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DataTypes } = require("sequelize");
+const SeederGenerator = require("../lib/seeder-generator");
+const { createSequelize } = require("./helpers");
+
+describe("SeederGenerator#generate", () => {
+  let cwd;
+  let models;
+
+  const generate = (entityType, options = {}) =>
+    new SeederGenerator({
+      cwd,
+      models,
+      logger: "silent",
+      now: new Date("2025-01-02T03:04:05Z"),
+      ...options,
+    }).generate(entityType);
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), "seeder-generator-"));
+    const sequelize = createSequelize();
+    sequelize.define(
+      "Product",
+      {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        sku: { type: DataTypes.STRING, unique: true },
+        price: DataTypes.DECIMAL(10, 2),
+        active: DataTypes.BOOLEAN,
+        status: DataTypes.ENUM("draft", "live"),
+        contactEmail: DataTypes.STRING,
+      },
+      { tableName: "products" }
+    );
+    models = sequelize.models;
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  it("writes a seeder and a data file with a sample record", () => {
+    const { seederFile, dataFile } = generate("Products");
+
+    expect(seederFile).toBe(
+      path.join(cwd, "seeders", "20250102030405-products.js")
+    );
+    expect(dataFile).toBe(path.join(cwd, "data", "products.json"));
+
+    const seeder = fs.readFileSync(seederFile, "utf8");
+    expect(seeder).toContain('const ENTITY_NAME = "Products";');
+    expect(seeder).toContain('tableName: "products"');
+    expect(seeder).toContain('dataFile: "data/products.json"');
+    expect(JSON.parse(fs.readFileSync(dataFile, "utf8"))).toEqual([
+      {
+        sku: "Sample sku",
+        price: 9.99,
+        active: true,
+        status: "draft",
+        contactEmail: "user@example.com",
+      },
+    ]);
+  });
+
+  it("follows the seeders path of .sequelizerc", () => {
+    fs.writeFileSync(
+      path.join(cwd, ".sequelizerc"),
+      'module.exports = { "seeders-path": "db/seeders" };'
+    );
+
+    const { seederFile } = generate("Products");
+
+    expect(path.dirname(seederFile)).toBe(path.join(cwd, "db", "seeders"));
+  });
+
+  it("refuses to overwrite existing files without force", () => {
+    const { seederFile } = generate("Products");
+
+    expect(() => generate("Products")).toThrow(
+      `${path.relative(cwd, seederFile)} already exists. Use --force to overwrite it`
+    );
+  });
+
+  it("overwrites the existing seeder and data file with force", () => {
+    const { seederFile } = generate("Products");
+    fs.writeFileSync(path.join(cwd, "data", "products.json"), "[]");
+
+    const result = generate("Products", {
+      force: true,
+      now: new Date("2026-01-01T00:00:00Z"),
+    });
+
+    expect(result.seederFile).toBe(seederFile);
+    expect(fs.readdirSync(path.join(cwd, "seeders"))).toHaveLength(1);
+    expect(
+      JSON.parse(fs.readFileSync(result.dataFile, "utf8"))[0]
+    ).toHaveProperty("sku");
+  });
+
+  it("writes JSON next to a data file in another format", () => {
+    const csvFile = path.join(cwd, "data", "products.csv");
+    fs.mkdirSync(path.dirname(csvFile));
+    fs.writeFileSync(csvFile, "sku\nA-1\n");
+
+    const { seederFile, dataFile } = generate("Products", { force: true });
+
+    expect(dataFile).toBe(path.join(cwd, "data", "products.json"));
+    expect(fs.readFileSync(csvFile, "utf8")).toBe("sku\nA-1\n");
+    expect(fs.readFileSync(seederFile, "utf8")).toContain(
+      'dataFile: "data/products.json"'
+    );
+  });
+
+  it("rejects invalid entity names", () => {
+    expect(() => generate("../etc")).toThrow("Invalid entity name '../etc'");
+  });
+});
@@ -0,0 +1,103 @@
+"use strict";
+
+const SeederHooks = require("../lib/seeder-hooks");
+const { createFactory } = require("./helpers");
+
+describe("SeederFactory hooks", () => {
+  let setup;
+  let events;
+
+  beforeEach(() => {
+    events = [];
+    const log =
+      (name) =>
+      ({ entityType }) => {
+        events.push(`${name} ${entityType}`);
+      };
+    setup = createFactory({
+      define: (sequelize, DataTypes) =>
+        sequelize.define(
+          "User",
+          { email: DataTypes.STRING },
+          { tableName: "People", timestamps: false }
+        ),
+      files: {
+        "users.json": ["ana", "bo", "cy"].map((name) => ({
+          email: `${name}@example.com`,
+        })),
+      },
+      factory: {
+        hooks: Object.fromEntries(
+          SeederHooks.names.map((name) => [name, log(name)])
+        ),
+      },
+    });
+  });
+
+  afterEach(() => setup.cleanup());
+
+  const seed = async (customConfig = { batchSize: 2 }) => {
+    const records = await setup.factory.processData("Users", { customConfig });
+    return setup.factory.insertData("Users", records, { customConfig });
+  };
+
+  it("runs the lifecycle hooks in order", async () => {
+    await seed();
+    await setup.factory.removeData("Users", {
+      customConfig: { uniqueFields: ["email"] },
+    });
+
+    expect(events).toEqual([
+      "beforeProcess Users",
+      "afterProcessRecord Users",
+      "afterProcessRecord Users",
+      "afterProcessRecord Users",
+      "beforeBatch Users",
+      "afterBatch Users",
+      "beforeBatch Users",
+      "afterBatch Users",
+      "afterInsert Users",
+      "beforeRemove Users",
+    ]);
+  });
+
+  it("runs the handlers of a hook in the order they were added", async () => {
+    setup.factory
+      .hook("beforeBatch", ({ batch }) => batch.slice(1))
+      .hook("beforeBatch", ({ batch, offset }) => {
+        events.push(`batch at ${offset}: ${batch.length} records`);
+      });
+
+    const counts = await seed();
+
+    expect(events.filter((event) => event.startsWith("batch at"))).toEqual([
+      "batch at 0: 1 records",
+      "batch at 2: 0 records",
+    ]);
+    expect(counts.inserted).toBe(1);
+  });
+
+  it("cancels a batch when a beforeBatch handler returns false", async () => {
+    setup.factory
+      .hook("beforeBatch", ({ offset }) => (offset === 0 ? false : undefined))
+      .hook("beforeBatch", ({ offset }) => {
+        events.push(`second handler at ${offset}`);
+      });
+
+    const counts = await seed();
+
+    // The two records of the first batch
+    expect(counts).toMatchObject({ inserted: 1, cancelled: 2 });
+    expect(events).toContain("second handler at 2");
+    expect(events).not.toContain("second handler at 0");
+  });
+
+  it("runs onError after a failed insert", async () => {
+    setup.queryInterface.bulkInsert.mockImplementation(async () => {
+      throw new Error("insert failed");
+    });
+
+    await expect(seed()).rejects.toThrow("insert failed");
+    expect(events.slice(-2)).toEqual(["beforeBatch Users", "onError Users"]);
+  });
+});
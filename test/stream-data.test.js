@@ -0,0 +1,56 @@
+"use strict";
+
+const { createFactory } = require("./helpers");
+
+const defineEvent = (sequelize, DataTypes) =>
+  sequelize.define(
+    "Event",
+    { name: DataTypes.STRING },
+    { tableName: "Events", timestamps: false }
+  );
+
+describe("SeederFactory#streamData", () => {
+  let setup;
+
+  afterEach(() => setup.cleanup());
+
+  it("inserts an NDJSON file batch by batch", async () => {
+    const lines = Array.from({ length: 250 }, (_, i) =>
+      JSON.stringify({ name: `event${i}` })
+    );
+    setup = createFactory({
+      define: defineEvent,
+      files: { "events.ndjson": lines.join("\n") },
+    });
+    const { factory, dataPath, calls } = setup;
+
+    const counts = await factory.streamData("Events", {
+      customConfig: { dataFile: `${dataPath}/events.ndjson`, batchSize: 100 },
+    });
+
+    expect(counts).toMatchObject({ processed: 250, inserted: 250 });
+    expect(calls.map(([, , rows]) => rows.length)).toEqual([100, 100, 50]);
+  });
+
+  it("does not keep inserted rows across batches", async () => {
+    const lines = Array.from({ length: 500 }, (_, i) =>
+      JSON.stringify({ name: `event${i}` })
+    );
+    setup = createFactory({
+      define: defineEvent,
+      files: { "events.ndjson": lines.join("\n") },
+    });
+    const { factory, dataPath } = setup;
+    const sizes = [];
+    factory.hook("afterBatch", () => {
+      const rows = factory.referenceResolver.insertedRows.get("Events") || [];
+      sizes.push(rows.length);
+    });
+
+    await factory.streamData("Events", {
+      customConfig: { dataFile: `${dataPath}/events.ndjson`, batchSize: 100 },
+    });
+
+    expect(sizes).toEqual([0, 0, 0, 0, 0]);
+  });
+});
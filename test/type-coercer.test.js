@@ -0,0 +1,93 @@
+"use strict";
+
+const TypeCoercer = require("../lib/type-coercer");
+
+describe("TypeCoercer", () => {
+  describe("coerceValue", () => {
+    it("converts date strings and timestamps to Dates", () => {
+      expect(TypeCoercer.coerceValue("2024-01-01T10:00:00Z", "DATE")).toEqual(
+        new Date("2024-01-01T10:00:00Z")
+      );
+      expect(TypeCoercer.coerceValue(0, "TIMESTAMP")).toEqual(new Date(0));
+      expect(() => TypeCoercer.coerceValue("soon", "DATE")).toThrow(
+        "'soon' is not a valid date"
+      );
+    });
+
+    it("converts boolean strings and 0/1 to booleans", () => {
+      expect(
+        ["true", "1", "yes", 0, "No"].map((value) =>
+          TypeCoercer.coerceValue(value, "BOOLEAN")
+        )
+      ).toEqual([true, true, true, false, false]);
+      expect(() => TypeCoercer.coerceValue("maybe", "BOOLEAN")).toThrow(
+        "'maybe' is not a boolean"
+      );
+    });
+
+    it("keeps BIGINT and DECIMAL strings exact", () => {
+      expect(TypeCoercer.coerceValue(" 12345678901234567890 ", "BIGINT")).toBe(
+        "12345678901234567890"
+      );
+      expect(TypeCoercer.coerceValue("10.50", "DECIMAL(10,2)")).toBe("10.50");
+      expect(() => TypeCoercer.coerceValue(2 ** 60, "BIGINT")).toThrow(
+        "write large values as strings"
+      );
+      expect(() => TypeCoercer.coerceValue("1.5", "BIGINT")).toThrow(
+        "'1.5' is not an integer string"
+      );
+    });
+
+    it("converts numeric strings to numbers", () => {
+      expect(TypeCoercer.coerceValue(" 42 ", "INTEGER")).toBe(42);
+      expect(TypeCoercer.coerceValue("1.5", "FLOAT")).toBe(1.5);
+      expect(() => TypeCoercer.coerceValue("", "INTEGER")).toThrow(
+        "'' is not a number"
+      );
+    });
+
+    it("writes objects to text columns as JSON", () => {
+      expect(TypeCoercer.coerceValue({ a: 1 }, "TEXT")).toBe('{"a":1}');
+      expect(TypeCoercer.coerceValue([1, 2], "STRING(255)")).toBe("[1,2]");
+    });
+
+    it("leaves null and unknown types alone", () => {
+      expect(TypeCoercer.coerceValue(null, "INTEGER")).toBeNull();
+      expect(TypeCoercer.coerceValue({ a: 1 }, "JSONB")).toEqual({ a: 1 });
+    });
+  });
+
+  describe("coerceRecord", () => {
+    const attributes = {
+      age: { type: "INTEGER" },
+      active: { type: "BOOLEAN" },
+      nickname: {},
+    };
+
+    it("coerces the fields with a known type", () => {
+      expect(
+        TypeCoercer.coerceRecord(
+          { age: "42", active: "1", nickname: "7", extra: "x" },
+          attributes
+        )
+      ).toEqual({ age: 42, active: true, nickname: "7", extra: "x" });
+    });
+
+    it("reports the record and field of a value that cannot be converted", () => {
+      expect(() =>
+        TypeCoercer.coerceRecord({ age: "old" }, attributes, {
+          index: 3,
+          fileName: "users.json",
+        })
+      ).toThrow(
+        "Invalid INTEGER value in users.json record 3, field 'age': 'old' is not a number"
+      );
+    });
+
+    it("returns records unchanged without attributes", () => {
+      const record = { age: "42" };
+
+      expect(TypeCoercer.coerceRecord(record, null)).toBe(record);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+"use strict";
+
+const { createFactory } = require("./helpers");
+
+describe("SeederFactory#processData with validate", () => {
+  let setup;
+
+  beforeEach(() => {
+    setup = createFactory({
+      define: (sequelize, DataTypes) =>
+        sequelize.define(
+          "User",
+          {
+            email: {
+              type: DataTypes.STRING,
+              allowNull: false,
+              unique: true,
+              validate: { isEmail: true },
+            },
+            role: {
+              type: DataTypes.STRING,
+              validate: { isIn: [["admin", "user"]] },
+            },
+          },
+          { tableName: "People", timestamps: false }
+        ),
+      files: {
+        "users.json": [
+          { email: "ana@example.com", role: "admin" },
+          { email: "not-an-email", role: "user" },
+          { email: "ana@example.com", role: "boss" },
+        ],
+      },
+    });
+  });
+
+  afterEach(() => setup.cleanup());
+
+  const validate = (options) =>
+    setup.factory.processData("Users", { validate: true, ...options });
+  const failure = async (options) => {
+    try {
+      await validate(options);
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Validation did not fail");
+  };
+
+  it("stops at the first invalid record by default", async () => {
+    const error = await failure();
+
+    expect(error.message).toMatch(/^Validation failed for Users \(1 invalid/);
+    expect(error.errors.map(({ index }) => index)).toEqual([1]);
+  });
+
+  it("collects every error, including duplicates within the file", async () => {
+    const error = await failure({ onInvalid: "collect" });
+
+    expect(error.errors).toEqual([
+      { index: 1, message: expect.stringContaining("'email'") },
+      { index: 2, message: expect.stringContaining("must be one of") },
+      {
+        index: 2,
+        message: expect.stringContaining(
+          "Duplicate value 'ana@example.com' for field 'email'"
+        ),
+      },
+    ]);
+  });
+
+  it("leaves invalid records out with skip", async () => {
+    const records = await validate({ onInvalid: "skip" });
+
+    expect(records).toEqual([{ email: "ana@example.com", role: "admin" }]);
+  });
+
+  it("validates against a given schema", async () => {
+    const records = await validate({
+      validate: { role: { type: "string", required: true } },
+      customConfig: { uniqueFields: ["role"] },
+    });
+
+    expect(records).toHaveLength(3);
+  });
+
+  it("does not validate unless asked to", async () => {
+    expect(await setup.factory.processData("Users")).toHaveLength(3);
+  });
+
+  it("rejects unknown policies", async () => {
+    const error = await failure({ onInvalid: "ignore" });
+
+    expect(error.message).toBe(
+      `Invalid onInvalid policy 'ignore'. Use "abort", "skip" or "collect"`
+    );
+  });
+});